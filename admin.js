@@ -0,0 +1,553 @@
+// admin.js
+// Organiser console (admin.html): registration approval queue with payment
+// status, the seeding / draw tools and (for super admins) role management.
+// Uses the same Supabase login as the schedule; what shows depends on the
+// signed-in user's roles from /api/roles.
+
+(function () {
+  // Shared escaping from bracket.js
+  const { escapeAttr, escapeHtml } = window.AdrenaleBracket;
+
+  const supabaseClient =
+    window.supabase &&
+    window.supabase.createClient &&
+    window.SUPABASE_URL &&
+    window.SUPABASE_ANON_KEY
+      ? window.supabase.createClient(
+          window.SUPABASE_URL,
+          window.SUPABASE_ANON_KEY
+        )
+      : null;
+
+  async function getAccessToken() {
+    if (!supabaseClient) return "";
+    const { data } = await supabaseClient.auth.getSession();
+    return data?.session?.access_token || "";
+  }
+
+  // Same rules as schedule.js
+  function getApiBase() {
+    if (window.API_BASE_URL)
+      return String(window.API_BASE_URL).replace(/\/$/, "");
+
+    if (
+      location.hostname === "localhost" ||
+      location.hostname === "127.0.0.1"
+    ) {
+      return "https://adrenale5.vercel.app";
+    }
+
+    return "";
+  }
+
+  async function api(path, { method = "GET", body } = {}) {
+    const token = await getAccessToken();
+    const res = await fetch(`${getApiBase()}${path}`, {
+      method,
+      headers: {
+        ...(body ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || "Request failed");
+    return json;
+  }
+
+  function formatNaira(kobo) {
+    return kobo ? `₦${(kobo / 100).toLocaleString("en-NG")}` : "";
+  }
+
+  // -----------------------------
+  // Registrations
+  // -----------------------------
+  function registrationCard(r) {
+    const roster = (r.roster || [])
+      .map(
+        (p) =>
+          `${
+            p.jersey !== null && p.jersey !== undefined ? `#${p.jersey} ` : ""
+          }${p.name}${p.position ? ` (${p.position})` : ""}`
+      )
+      .join(", ");
+    const action = (name, label, primary) =>
+      `<button class="btn ${
+        primary ? "primary" : ""
+      }" data-reg-action="${name}" data-reg-id="${escapeAttr(
+        r.id
+      )}">${label}</button>`;
+
+    return `
+      <div class="card card-pad">
+        <div style="display:flex;justify-content:space-between;gap:12px;flex-wrap:wrap;width:100%;">
+          <div>
+            <div style="font-weight:900;font-size:16px;">${escapeHtml(
+              r.team_name
+            )}</div>
+            <div class="muted" style="font-size:13px;">
+              ${escapeHtml(r.captain_name)} • ${escapeHtml(r.captain_email)}${
+      r.captain_phone ? ` • ${escapeHtml(r.captain_phone)}` : ""
+    }
+            </div>
+          </div>
+          <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;">
+            <span class="chip">${escapeHtml(r.status)}</span>
+            <span class="chip ${
+              r.payment_status === "paid" ? "green" : ""
+            }">Payment: ${escapeHtml(r.payment_status)} ${escapeHtml(
+      formatNaira(r.amount)
+    )}</span>
+          </div>
+        </div>
+        <div class="muted" style="font-size:12px;margin-top:8px;">
+          Roster (${(r.roster || []).length}): ${escapeHtml(roster || "—")}
+        </div>
+        <div class="muted" style="font-size:12px;">
+          ${escapeHtml(r.payment_provider || "")} ${escapeHtml(
+      r.payment_reference || ""
+    )} • ${escapeHtml(new Date(r.created_at).toLocaleString())}
+        </div>
+        <div style="display:flex;gap:8px;flex-wrap:wrap;margin-top:10px;">
+          ${
+            r.status !== "approved"
+              ? action("approve", "Approve", true) +
+                (r.status !== "rejected" ? action("reject", "Reject") : "")
+              : ""
+          }
+          ${
+            r.payment_status !== "paid"
+              ? action("verify-payment", "Check payment") +
+                action("mark-paid", "Mark paid")
+              : ""
+          }
+        </div>
+      </div>
+    `;
+  }
+
+  // -----------------------------
+  // Seeding & draw
+  // -----------------------------
+  function drawRow(team, i, count, manual) {
+    const move = (dir, label, disabled) =>
+      `<button class="btn" type="button" data-draw-move="${dir}" data-draw-index="${i}" ${
+        disabled ? "disabled" : ""
+      } aria-label="${label}">${dir < 0 ? "↑" : "↓"}</button>`;
+
+    return `
+      <div class="draw-row">
+        <span class="seed">${i + 1}</span>
+        <span style="flex:1;">${escapeHtml(team.name)}${
+      team.club
+        ? ` <span class="muted" style="font-size:12px;">${escapeHtml(
+            team.club
+          )}</span>`
+        : ""
+    }</span>
+        ${
+          manual
+            ? move(-1, "Move up", i === 0) +
+              move(1, "Move down", i === count - 1)
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  // -----------------------------
+  // Roles
+  // -----------------------------
+  const ROLE_NAMES = {
+    super_admin: "Super admin",
+    director: "Tournament director",
+    scorekeeper: "Scorekeeper",
+    media: "Media",
+  };
+
+  function splitList(value) {
+    return String(value || "")
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+  }
+
+  function roleRow(r, tournamentNames) {
+    const limits = [...(r.courts || []), ...(r.game_ids || [])].join(", ");
+    return `
+      <div class="card card-pad" style="display:flex;justify-content:space-between;align-items:center;gap:12px;flex-wrap:wrap;">
+        <div>
+          <div style="font-weight:900;">${escapeHtml(
+            r.email || r.user_id
+          )}</div>
+          <div class="muted" style="font-size:13px;">
+            ${escapeHtml(ROLE_NAMES[r.role] || r.role)} • ${escapeHtml(
+      r.tournament_id
+        ? tournamentNames[r.tournament_id] || "Unknown tournament"
+        : "All tournaments"
+    )}${limits ? ` • ${escapeHtml(limits)}` : ""}
+          </div>
+        </div>
+        <button class="btn" type="button" data-role-revoke="${escapeAttr(
+          r.id
+        )}">Revoke</button>
+      </div>
+    `;
+  }
+
+  // -----------------------------
+  // Boot
+  // -----------------------------
+  async function init() {
+    const savedTheme = localStorage.getItem("theme");
+    if (savedTheme === "dark" || savedTheme === "light")
+      document.body.setAttribute("data-theme", savedTheme);
+
+    const loginForm = document.getElementById("adminLogin");
+    const loginMsg = document.getElementById("adminLoginMsg");
+    const logoutBtn = document.getElementById("adminLogout");
+    const panel = document.getElementById("adminPanel");
+    const tournamentEl = document.getElementById("adminTournament");
+    const statusEl = document.getElementById("adminStatus");
+    const msg = document.getElementById("adminMsg");
+    const listEl = document.getElementById("registrationList");
+    const drawModeEl = document.getElementById("drawMode");
+    const drawSeedEl = document.getElementById("drawSeed");
+    const drawSourceEl = document.getElementById("drawSource");
+    const drawAvoidEl = document.getElementById("drawAvoidClub");
+    const drawOrderEl = document.getElementById("drawOrder");
+    const drawMsg = document.getElementById("drawMsg");
+    const drawRunBtn = document.getElementById("drawRun");
+    const drawPrintEl = document.getElementById("drawPrint");
+    let drawTeams = [];
+    const rolesCard = document.getElementById("rolesCard");
+    const roleForm = document.getElementById("roleForm");
+    const roleRoleEl = document.getElementById("roleRole");
+    const roleTournamentEl = document.getElementById("roleTournament");
+    const roleMsg = document.getElementById("roleMsg");
+    const roleListEl = document.getElementById("roleList");
+    let tournamentNames = {};
+
+    if (!supabaseClient) {
+      loginMsg.textContent = "Supabase client not available.";
+      loginMsg.style.display = "block";
+      loginForm.style.display = "grid";
+      return;
+    }
+
+    function showError(err) {
+      msg.textContent = err?.message || String(err);
+      msg.style.display = "block";
+    }
+
+    async function loadRegistrations() {
+      msg.style.display = "none";
+      listEl.innerHTML = `<div class="muted">Loading…</div>`;
+      try {
+        const qs = new URLSearchParams({ tournament: tournamentEl.value });
+        if (statusEl.value) qs.set("status", statusEl.value);
+        const { registrations } = await api(`/api/registrations?${qs}`);
+        listEl.innerHTML = registrations.length
+          ? registrations.map(registrationCard).join("")
+          : `<div class="muted">Nothing here.</div>`;
+      } catch (err) {
+        listEl.innerHTML = "";
+        showError(err);
+      }
+    }
+
+    function renderDrawOrder() {
+      const manual = drawModeEl.value === "manual";
+      drawSeedEl.style.display = drawModeEl.value === "random" ? "" : "none";
+      drawSourceEl.style.display = drawModeEl.value === "snake" ? "" : "none";
+      drawOrderEl.innerHTML = drawTeams.length
+        ? drawTeams
+            .map((t, i) => drawRow(t, i, drawTeams.length, manual))
+            .join("")
+        : `<div class="muted">No teams yet.</div>`;
+    }
+
+    async function loadDraw() {
+      drawMsg.style.display = "none";
+      drawPrintEl.href = `draw.html?tournament=${encodeURIComponent(
+        tournamentEl.value
+      )}`;
+      try {
+        const { teams, draw } = await api(
+          `/api/draw?tournament=${encodeURIComponent(tournamentEl.value)}`
+        );
+        drawTeams = teams;
+        if (draw) {
+          drawModeEl.value = draw.mode;
+          drawSeedEl.value = draw.seed || "";
+          drawAvoidEl.checked = !!draw.avoidSameClub;
+          if (draw.sourceTournamentId)
+            drawSourceEl.value = draw.sourceTournamentId;
+        }
+        renderDrawOrder();
+      } catch (err) {
+        drawTeams = [];
+        renderDrawOrder();
+        drawMsg.textContent = err.message;
+        drawMsg.style.display = "block";
+      }
+    }
+
+    async function runDraw() {
+      drawMsg.style.display = "none";
+      drawRunBtn.disabled = true;
+      try {
+        const { draw } = await api("/api/draw", {
+          method: "POST",
+          body: {
+            tournamentId: tournamentEl.value,
+            mode: drawModeEl.value,
+            order: drawTeams.map((t) => t.id),
+            seed: drawSeedEl.value.trim() || undefined,
+            sourceTournamentId: drawSourceEl.value || undefined,
+            avoidSameClub: drawAvoidEl.checked,
+          },
+        });
+        await loadDraw();
+        if (draw.swaps.length) {
+          drawMsg.textContent = `Moved ${draw.swaps.length} team${
+            draw.swaps.length === 1 ? "" : "s"
+          } to avoid same-club games.`;
+          drawMsg.style.display = "block";
+        }
+      } catch (err) {
+        drawMsg.textContent = err.message;
+        drawMsg.style.display = "block";
+      } finally {
+        drawRunBtn.disabled = false;
+      }
+    }
+
+    async function loadRoles() {
+      roleMsg.style.display = "none";
+      try {
+        const { roles } = await api("/api/roles");
+        roleListEl.innerHTML = roles.length
+          ? roles.map((r) => roleRow(r, tournamentNames)).join("")
+          : `<div class="muted">No roles granted yet.</div>`;
+      } catch (err) {
+        roleMsg.textContent = err.message;
+        roleMsg.style.display = "block";
+      }
+    }
+
+    // Courts and games only narrow down scorekeepers
+    function syncRoleForm() {
+      const scorekeeper = roleRoleEl.value === "scorekeeper";
+      document.getElementById("roleCourts").style.display = scorekeeper
+        ? ""
+        : "none";
+      document.getElementById("roleGames").style.display = scorekeeper
+        ? ""
+        : "none";
+      roleTournamentEl.style.display =
+        roleRoleEl.value === "super_admin" ? "none" : "";
+    }
+
+    async function showPanel() {
+      loginForm.style.display = "none";
+      logoutBtn.style.display = "inline-flex";
+      panel.style.display = "block";
+
+      let isSuperAdmin = false;
+      try {
+        const { roles } = await api("/api/roles?me=1");
+        isSuperAdmin = roles.some((r) => r.role === "super_admin");
+        if (!roles.length) {
+          showError(
+            new Error(
+              "Your account has no organiser role yet. Ask a super admin."
+            )
+          );
+        }
+      } catch (err) {
+        showError(err);
+      }
+      rolesCard.style.display = isSuperAdmin ? "block" : "none";
+
+      try {
+        const { tournaments } = await api("/api/tournaments");
+        tournamentNames = Object.fromEntries(
+          tournaments.map((t) => [t.id, t.name])
+        );
+        roleTournamentEl.innerHTML =
+          `<option value="">All tournaments</option>` +
+          tournaments
+            .map(
+              (t) =>
+                `<option value="${escapeAttr(t.id)}">${escapeHtml(
+                  t.name
+                )}</option>`
+            )
+            .join("");
+        tournamentEl.innerHTML = tournaments
+          .map(
+            (t) =>
+              `<option value="${escapeAttr(t.id)}" ${
+                t.is_current ? "selected" : ""
+              }>${escapeHtml(t.name)}${
+                t.is_current ? " (current)" : ""
+              }</option>`
+          )
+          .join("");
+        drawSourceEl.innerHTML = tournaments
+          .filter((t) => t.format === "pools" || t.format === "round-robin")
+          .map(
+            (t) =>
+              `<option value="${escapeAttr(t.id)}">Pools: ${escapeHtml(
+                t.name
+              )}</option>`
+          )
+          .join("");
+      } catch (err) {
+        showError(err);
+      }
+      await loadRegistrations();
+      await loadDraw();
+      if (isSuperAdmin) await loadRoles();
+    }
+
+    function showLogin() {
+      loginForm.style.display = "grid";
+      logoutBtn.style.display = "none";
+      panel.style.display = "none";
+    }
+
+    loginForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      loginMsg.style.display = "none";
+      const { error } = await supabaseClient.auth.signInWithPassword({
+        email: document.getElementById("adminEmail").value.trim(),
+        password: document.getElementById("adminPassword").value,
+      });
+      if (error) {
+        loginMsg.textContent = error.message;
+        loginMsg.style.display = "block";
+        return;
+      }
+      await showPanel();
+    });
+
+    logoutBtn.addEventListener("click", async () => {
+      await supabaseClient.auth.signOut();
+      showLogin();
+    });
+
+    tournamentEl.addEventListener("change", () => {
+      loadRegistrations();
+      loadDraw();
+    });
+    statusEl.addEventListener("change", loadRegistrations);
+
+    listEl.addEventListener("click", async (e) => {
+      const btn =
+        e.target instanceof HTMLElement
+          ? e.target.closest("[data-reg-action]")
+          : null;
+      if (!btn) return;
+
+      const action = btn.getAttribute("data-reg-action");
+      if (action === "reject" && !window.confirm("Reject this registration?"))
+        return;
+
+      btn.disabled = true;
+      try {
+        await api("/api/registrations", {
+          method: "POST",
+          body: { id: btn.getAttribute("data-reg-id"), action },
+        });
+        await loadRegistrations();
+      } catch (err) {
+        showError(err);
+        btn.disabled = false;
+      }
+    });
+
+    roleRoleEl.addEventListener("change", syncRoleForm);
+    syncRoleForm();
+
+    roleForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      roleMsg.style.display = "none";
+      const role = roleRoleEl.value;
+      try {
+        await api("/api/roles", {
+          method: "POST",
+          body: {
+            email: document.getElementById("roleEmail").value,
+            role,
+            tournamentId:
+              role === "super_admin"
+                ? undefined
+                : roleTournamentEl.value || undefined,
+            courts:
+              role === "scorekeeper"
+                ? splitList(document.getElementById("roleCourts").value)
+                : [],
+            gameIds:
+              role === "scorekeeper"
+                ? splitList(document.getElementById("roleGames").value)
+                : [],
+          },
+        });
+        roleForm.reset();
+        syncRoleForm();
+        await loadRoles();
+      } catch (err) {
+        roleMsg.textContent = err.message;
+        roleMsg.style.display = "block";
+      }
+    });
+
+    roleListEl.addEventListener("click", async (e) => {
+      const btn =
+        e.target instanceof HTMLElement
+          ? e.target.closest("[data-role-revoke]")
+          : null;
+      if (!btn || !window.confirm("Revoke this role?")) return;
+
+      btn.disabled = true;
+      try {
+        await api(
+          `/api/roles?id=${encodeURIComponent(
+            btn.getAttribute("data-role-revoke")
+          )}`,
+          { method: "DELETE" }
+        );
+        await loadRoles();
+      } catch (err) {
+        roleMsg.textContent = err.message;
+        roleMsg.style.display = "block";
+        btn.disabled = false;
+      }
+    });
+
+    drawModeEl.addEventListener("change", renderDrawOrder);
+    drawRunBtn.addEventListener("click", runDraw);
+    drawOrderEl.addEventListener("click", (e) => {
+      const btn =
+        e.target instanceof HTMLElement
+          ? e.target.closest("[data-draw-move]")
+          : null;
+      if (!btn) return;
+
+      const i = Number(btn.getAttribute("data-draw-index"));
+      const j = i + Number(btn.getAttribute("data-draw-move"));
+      if (j < 0 || j >= drawTeams.length) return;
+      [drawTeams[i], drawTeams[j]] = [drawTeams[j], drawTeams[i]];
+      renderDrawOrder();
+    });
+
+    if (await getAccessToken()) await showPanel();
+    else showLogin();
+  }
+
+  if (document.readyState === "loading")
+    document.addEventListener("DOMContentLoaded", init);
+  else init();
+})();
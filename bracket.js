@@ -0,0 +1,1318 @@
+// bracket.js
+// Bracket definition shared by schedule.js (window.AdrenaleBracket) and the
+// API routes (import bracket from "../../bracket").
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AdrenaleBracket = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  // -----------------------------
+  // Time helpers
+  // -----------------------------
+  function pad2(n) {
+    return String(n).padStart(2, "0");
+  }
+
+  function parseTime12h(str) {
+    const m = String(str)
+      .trim()
+      .match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+    if (!m) throw new Error("Bad time format: " + str);
+    let h = parseInt(m[1], 10);
+    const min = parseInt(m[2], 10);
+    const ap = m[3].toUpperCase();
+    if (ap === "PM" && h !== 12) h += 12;
+    if (ap === "AM" && h === 12) h = 0;
+    return { h, min };
+  }
+
+  function formatTime12h(h24, min) {
+    const ap = h24 >= 12 ? "PM" : "AM";
+    let h = h24 % 12;
+    if (h === 0) h = 12;
+    return `${h}:${pad2(min)} ${ap}`;
+  }
+
+  function addMinutes(timeStr, minsToAdd) {
+    const { h, min } = parseTime12h(timeStr);
+    const total = h * 60 + min + minsToAdd;
+    const h24 = Math.floor(total / 60) % 24;
+    const m = total % 60;
+    return formatTime12h(h24, m);
+  }
+
+  // -----------------------------
+  // Bracket generation
+  // -----------------------------
+  // Every game slot has a source:
+  //   { team: "Team 1" }   fixed team
+  //   { winner: "D1G1" }   winner of another game
+  //   { loser: "D1G1" }    loser of another game (double elimination)
+  //   { pool: "A", rank: 1 }  final standing in a pool
+  //   { bye: true }        empty slot, the other side advances
+  const FORMATS = [
+    "single-elimination",
+    "double-elimination",
+    "round-robin",
+    "pools",
+  ];
+  const BYE = { bye: true };
+
+  const DEFAULT_DAY_STARTS = [
+    { morning: "8:00 AM", evening: "4:00 PM" },
+    { morning: "9:00 AM", evening: "5:00 PM" },
+    { morning: "10:00 AM", evening: "5:00 PM" },
+  ];
+  // No game may run past this on any day
+  const DAY_END = "10:00 PM";
+
+  function nextPow2(n) {
+    let p = 1;
+    while (p < n) p *= 2;
+    return p;
+  }
+
+  // Classic placement for a bracket of `size` seeds: 1v16, 8v9, 4v13, ...
+  function seedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+      const sum = order.length * 2 + 1;
+      order = order.flatMap((s) => [s, sum - s]);
+    }
+    return order;
+  }
+
+  // Pairs teams in array order; byes go to the first teams and are spread
+  // so two bye teams don't meet straight away in round 2.
+  // Seeded events read the array as a ranking instead (1v16, 8v9, ...),
+  // so the byes fall to the top seeds.
+  function eliminationEntrants(teams, seeded) {
+    const size = nextPow2(Math.max(teams.length, 2));
+    if (seeded)
+      return seedOrder(size).map((seed) =>
+        teams[seed - 1] ? { team: teams[seed - 1] } : BYE
+      );
+
+    const pairs = size / 2;
+    const byes = size - teams.length;
+
+    const evens = [];
+    const odds = [];
+    for (let i = 0; i < pairs; i++) (i % 2 ? odds : evens).push(i);
+    const byePairs = new Set([...evens, ...odds].slice(0, byes));
+
+    const entrants = [];
+    let t = 0;
+    for (let i = 0; i < pairs; i++) {
+      if (byePairs.has(i)) entrants.push({ team: teams[t++] }, BYE);
+      else entrants.push({ team: teams[t++] }, { team: teams[t++] });
+    }
+    return entrants;
+  }
+
+  function roundName(gamesInRound, index) {
+    if (gamesInRound === 1) return { kind: "F", label: "Championship Game" };
+    if (gamesInRound === 2)
+      return { kind: "SF", label: `Semifinal ${index + 1}` };
+    return { kind: "G", label: "" };
+  }
+
+  // Builds knockout rounds from a power-of-two entrant list.
+  // Returns the proto games and the key of the last game.
+  function knockoutProtos(entrants, opts = {}) {
+    const prefix = opts.prefix || "KO";
+    const protos = [];
+    const rounds = [];
+    let current = entrants;
+    let round = 1;
+
+    while (current.length > 1) {
+      const next = [];
+      const roundKeys = [];
+      const count = current.length / 2;
+      for (let i = 0; i < count; i++) {
+        const key = `${prefix}R${round}G${i + 1}`;
+        const named = opts.name
+          ? opts.name(count, i, round)
+          : roundName(count, i);
+        protos.push({
+          key,
+          kind: named.kind,
+          label: named.label,
+          minStage: opts.firstStage || 1,
+          from: [current[i * 2], current[i * 2 + 1]],
+        });
+        roundKeys.push(key);
+        next.push({ winner: key });
+      }
+      rounds.push(roundKeys);
+      current = next;
+      round++;
+    }
+
+    return { protos, rounds, finalKey: rounds[rounds.length - 1][0] };
+  }
+
+  function isSeeded(config) {
+    return config.seeding === "seeded";
+  }
+
+  function singleEliminationProtos(teams, config) {
+    return knockoutProtos(eliminationEntrants(teams, isSeeded(config)), {
+      prefix: "W",
+    }).protos;
+  }
+
+  // Winners bracket, losers bracket and a single championship game.
+  function doubleEliminationProtos(teams, config) {
+    const wb = knockoutProtos(eliminationEntrants(teams, isSeeded(config)), {
+      prefix: "W",
+      name: (count, i) =>
+        count === 1
+          ? { kind: "G", label: "Winners Final" }
+          : { kind: "G", label: "" },
+    });
+    const protos = [...wb.protos];
+
+    let lbRound = 1;
+    const addLosersRound = (from) => {
+      const keys = [];
+      const count = from.length / 2;
+      for (let i = 0; i < count; i++) {
+        const key = `LR${lbRound}G${i + 1}`;
+        protos.push({
+          key,
+          kind: "L",
+          label: `Losers Round ${lbRound}`,
+          from: [from[i * 2], from[i * 2 + 1]],
+        });
+        keys.push({ winner: key });
+      }
+      lbRound++;
+      return keys;
+    };
+
+    // Round 1 losers play each other, then every later winners round drops
+    // its losers in against the survivors of the losers bracket.
+    let survivors =
+      wb.rounds[0].length > 1
+        ? addLosersRound(wb.rounds[0].map((key) => ({ loser: key })))
+        : wb.rounds[0].map((key) => ({ loser: key }));
+
+    for (let r = 1; r < wb.rounds.length; r++) {
+      const dropped = wb.rounds[r].map((key) => ({ loser: key }));
+      const paired = [];
+      survivors.forEach((s, i) => paired.push(s, dropped[i]));
+      survivors = addLosersRound(paired);
+      if (survivors.length > 1) survivors = addLosersRound(survivors);
+    }
+
+    const lbFinal = protos.find((p) => p.key === survivors[0].winner);
+    if (lbFinal) lbFinal.label = "Losers Final";
+
+    protos.push({
+      key: "GF",
+      kind: "F",
+      label: "Championship Game",
+      from: [{ winner: wb.finalKey }, survivors[0]],
+    });
+    return protos;
+  }
+
+  // Circle method; an odd team count sits one team out each round.
+  function roundRobinPairings(list) {
+    const arr = list.length % 2 ? [...list, null] : [...list];
+    const n = arr.length;
+    const rounds = [];
+    for (let r = 0; r < n - 1; r++) {
+      const pairs = [];
+      for (let i = 0; i < n / 2; i++) {
+        const a = arr[i];
+        const b = arr[n - 1 - i];
+        if (a !== null && b !== null) pairs.push([a, b]);
+      }
+      rounds.push(pairs);
+      arr.splice(1, 0, arr.pop());
+    }
+    return rounds;
+  }
+
+  function poolName(index) {
+    return String.fromCharCode(65 + index);
+  }
+
+  // Round robin inside each pool, then the top finishers play a knockout.
+  // "round-robin" is the one-pool case.
+  function groupStageProtos(teams, config) {
+    const multi = config.format === "pools";
+    const poolCount = multi
+      ? Math.max(
+          1,
+          Math.min(Number(config.pools) || 2, Math.floor(teams.length / 2))
+        )
+      : 1;
+
+    // Seeded events deal the ranking out serpentine (A B B A ...) so every
+    // pool gets a similar spread of seeds
+    const pools = Array.from({ length: poolCount }, () => []);
+    teams.forEach((team, i) => {
+      const lap = Math.floor(i / poolCount);
+      const p = i % poolCount;
+      pools[isSeeded(config) && lap % 2 ? poolCount - 1 - p : p].push(team);
+    });
+
+    const protos = [];
+    let groupRounds = 0;
+    const byRound = [];
+    pools.forEach((list, p) => {
+      const pool = poolName(p);
+      roundRobinPairings(list).forEach((pairs, r) => {
+        byRound[r] = byRound[r] || [];
+        pairs.forEach(([a, b], i) => {
+          byRound[r].push({
+            key: `P${pool}R${r + 1}G${i + 1}`,
+            kind: multi ? `P${pool}` : "RR",
+            label: multi
+              ? `Pool ${pool} · Round ${r + 1}`
+              : `Round Robin ${r + 1}`,
+            group: true,
+            pool,
+            minStage: r + 1,
+            from: [{ team: a }, { team: b }],
+          });
+        });
+        groupRounds = Math.max(groupRounds, r + 1);
+      });
+    });
+    byRound.forEach((round) => protos.push(...round));
+
+    // Pool winners first, then runners-up, ... (A1, B1, A2, B2)
+    const perPool = multi
+      ? Math.min(
+          Number(config.advancePerPool) || 2,
+          Math.min(...pools.map((list) => list.length))
+        )
+      : Math.min(Number(config.knockoutTeams) || 4, teams.length);
+    const qualifiers = [];
+    for (let rank = 1; rank <= perPool; rank++)
+      pools.forEach((_, p) => qualifiers.push({ pool: poolName(p), rank }));
+    if (qualifiers.length < 2) return protos;
+
+    const entrants = seedOrder(nextPow2(qualifiers.length)).map(
+      (seed) => qualifiers[seed - 1] || BYE
+    );
+    const ko = knockoutProtos(entrants, {
+      prefix: "KO",
+      firstStage: groupRounds + 1,
+    });
+    return [...protos, ...ko.protos];
+  }
+
+  // Games that only face a bye are dropped and their winner is carried
+  // straight into the next slot. Protos must be in dependency order.
+  function collapseByes(protos) {
+    const virtual = new Map();
+    const sub = (src) => {
+      if (src.winner && virtual.has(src.winner))
+        return virtual.get(src.winner).winner;
+      if (src.loser && virtual.has(src.loser))
+        return virtual.get(src.loser).loser;
+      return src;
+    };
+
+    const real = [];
+    for (const p of protos) {
+      const [a, b] = p.from.map(sub);
+      if (a.bye || b.bye) {
+        virtual.set(p.key, { winner: a.bye ? b : a, loser: BYE });
+        continue;
+      }
+      real.push({ ...p, from: [a, b] });
+    }
+    return real;
+  }
+
+  // Stage = how early a game can be played, taken from the full (pre-bye)
+  // structure so every game of a round shares the same stage.
+  function assignStages(protos) {
+    const stageOf = {};
+    const groupStage = protos.reduce(
+      (max, p) => (p.group ? Math.max(max, p.minStage || 1) : max),
+      0
+    );
+    for (const p of protos) {
+      let stage = p.minStage || 1;
+      for (const src of p.from) {
+        const ref = src.winner || src.loser;
+        if (ref) stage = Math.max(stage, stageOf[ref] + 1);
+        if (src.rank) stage = Math.max(stage, groupStage + 1);
+      }
+      stageOf[p.key] = stage;
+      p.stage = stage;
+    }
+  }
+
+  // Packs consecutive stages into at most `days` days, balancing game counts.
+  function planDays(stageCounts, days) {
+    const total = stageCounts.reduce((sum, n) => sum + n, 0);
+    const target = Math.ceil(total / Math.max(1, days));
+    const dayOfStage = [];
+    let day = 1;
+    let load = 0;
+    stageCounts.forEach((count, i) => {
+      if (load > 0 && load + count > target && day < days) {
+        day++;
+        load = 0;
+      }
+      dayOfStage[i] = day;
+      load += count;
+    });
+    return dayOfStage;
+  }
+
+  function toMinutes(timeStr) {
+    const { h, min } = parseTime12h(timeStr);
+    return h * 60 + min;
+  }
+
+  function formatMinutes(total) {
+    return formatTime12h(Math.floor(total / 60) % 24, total % 60);
+  }
+
+  function dayStarts(config, dayNum) {
+    const starts = DEFAULT_DAY_STARTS[dayNum - 1] || DEFAULT_DAY_STARTS[1];
+    return {
+      morning: config[`day${dayNum}MorningStart`] || starts.morning,
+      evening: config[`day${dayNum}EveningStart`] || starts.evening,
+    };
+  }
+
+  // Original layout: one court, first half of a day's games in the morning
+  // session and the rest in the evening, an hour apart. The evening session
+  // waits for the morning one to finish if it runs long.
+  function sessionSlots(protos, config) {
+    const court = config.courtName || "Dolphins Court";
+    const gap = 60; // 1 hour
+    const slots = {};
+    const byDay = {};
+    for (const p of protos) (byDay[p.dayNum] = byDay[p.dayNum] || []).push(p);
+
+    for (const [dayNum, dayProtos] of Object.entries(byDay)) {
+      const starts = dayStarts(config, Number(dayNum));
+      const morningCount = Math.floor(dayProtos.length / 2);
+      const morningStart = toMinutes(starts.morning);
+      const eveningStart = Math.max(
+        toMinutes(starts.evening),
+        morningStart + morningCount * gap
+      );
+      const eveningCount = dayProtos.length - morningCount;
+      if (eveningStart + eveningCount * gap > toMinutes(DAY_END))
+        throw new Error(
+          `Day ${dayNum} has too many games to finish by ${DAY_END}`
+        );
+      dayProtos.forEach((p, i) => {
+        const morning = i < morningCount;
+        const idx = morning ? i : i - morningCount;
+        slots[p.key] = {
+          dayNum: Number(dayNum),
+          start: (morning ? morningStart : eveningStart) + idx * gap,
+          duration: gap,
+          court,
+          timeSlot: morning ? "Morning" : "Evening",
+        };
+      });
+    }
+    return slots;
+  }
+
+  function availabilityDays(config) {
+    const availability = config.availability;
+    if (Array.isArray(availability)) return availability.length;
+    return availability ? Object.keys(availability).length : 0;
+  }
+
+  // Puts every game on the earliest free court and time inside the day's
+  // availability windows. A game never starts before the games it depends on
+  // have finished (plus buffer) and a team never plays two games at once.
+  // With `planned`, no game goes before its planDays day; without it, a game
+  // can take any earlier day once its dependencies are done.
+  function allocateSlots(protos, config, planned = true) {
+    const courts =
+      Array.isArray(config.courts) && config.courts.length
+        ? config.courts
+        : [config.courtName || "Dolphins Court"];
+    const duration = Number(config.gameMinutes) || 60;
+    const buffer = Number(config.bufferMinutes) || 0;
+    const availability = config.availability;
+    const lastDay = availabilityDays(config) || Infinity;
+
+    // availability: [[{ start, end }], ...] by day, or { "Day 1": [...] }
+    const windowsFor = (dayNum) => {
+      const list = Array.isArray(availability)
+        ? availability[dayNum - 1]
+        : availability?.[`Day ${dayNum}`];
+      const fallback = availability
+        ? []
+        : [{ start: dayStarts(config, dayNum).morning, end: DAY_END }];
+      return (list || fallback).map((w) => ({
+        start: toMinutes(w.start),
+        end: toMinutes(w.end),
+      }));
+    };
+
+    const poolKeys = {};
+    for (const p of protos)
+      if (p.group) (poolKeys[p.pool] = poolKeys[p.pool] || []).push(p.key);
+
+    const busy = []; // { dayNum, start, end, court, teams }
+    const slots = {};
+    const clashes = (dayNum, start, court, teams) =>
+      busy.some(
+        (b) =>
+          b.dayNum === dayNum &&
+          (b.court === court || b.teams.some((t) => teams.includes(t))) &&
+          start < b.end + buffer &&
+          b.start < start + duration + buffer
+      );
+
+    for (const p of protos) {
+      // Earliest moment every dependency has finished
+      let minDay = planned ? p.dayNum : 1;
+      let minTime = 0;
+      const deps = [];
+      for (const src of p.from) {
+        if (src.winner || src.loser) deps.push(src.winner || src.loser);
+        if (src.rank) deps.push(...(poolKeys[src.pool] || []));
+      }
+      for (const key of deps) {
+        const dep = slots[key];
+        if (!dep) continue;
+        const ready = dep.start + dep.duration + buffer;
+        if (dep.dayNum > minDay) {
+          minDay = dep.dayNum;
+          minTime = ready;
+        } else if (dep.dayNum === minDay) {
+          minTime = Math.max(minTime, ready);
+        }
+      }
+
+      const teams = p.from.filter((src) => src.team).map((src) => src.team);
+      let placed = null;
+
+      for (let dayNum = minDay; !placed; dayNum++) {
+        if (dayNum > lastDay || dayNum > minDay + protos.length) {
+          throw new Error("Not enough court time to fit every game");
+        }
+
+        const earliest = dayNum === minDay ? minTime : 0;
+        const sameDay = busy.filter((b) => b.dayNum === dayNum);
+        const candidates = [
+          earliest,
+          ...sameDay.map((b) => b.end + buffer),
+        ].sort((x, y) => x - y);
+
+        for (const w of windowsFor(dayNum)) {
+          for (const court of courts) {
+            for (const c of [w.start, ...candidates]) {
+              const start = Math.max(c, w.start, earliest);
+              if (start + duration > w.end) break;
+              if (clashes(dayNum, start, court, teams)) continue;
+              if (!placed || start < placed.start)
+                placed = { dayNum, start, court };
+              break;
+            }
+          }
+        }
+      }
+
+      slots[p.key] = {
+        ...placed,
+        duration,
+        timeSlot: placed.start < 12 * 60 ? "Morning" : "Evening",
+      };
+      busy.push({
+        dayNum: placed.dayNum,
+        start: placed.start,
+        end: placed.start + duration,
+        court: placed.court,
+        teams,
+      });
+    }
+    return slots;
+  }
+
+  function buildGames(teams, config) {
+    const format = FORMATS.includes(config.format)
+      ? config.format
+      : "single-elimination";
+
+    if (teams.length < 2) throw new Error("A bracket needs at least 2 teams");
+
+    let protos;
+    if (format === "double-elimination")
+      protos = doubleEliminationProtos(teams, config);
+    else if (format === "round-robin" || format === "pools")
+      protos = groupStageProtos(teams, { ...config, format });
+    else protos = singleEliminationProtos(teams, config);
+
+    assignStages(protos);
+    const real = collapseByes(protos);
+
+    // Stages left empty by byes don't get a day of their own
+    const stages = [...new Set(real.map((p) => p.stage))].sort((a, b) => a - b);
+    const stageCounts = stages.map(
+      (s) => real.filter((p) => p.stage === s).length
+    );
+    const dayOfStage = planDays(
+      stageCounts,
+      availabilityDays(config) || Number(config.days) || 3
+    );
+    for (const p of real) p.dayNum = dayOfStage[stages.indexOf(p.stage)];
+
+    // Without courts or availability, keep the one-court morning/evening
+    // sessions while they fit the day. planDays only balances game counts, so
+    // a planned day can be full while earlier days still have room.
+    const layouts = [
+      () => allocateSlots(real, config),
+      () => allocateSlots(real, config, false),
+    ];
+    if (!config.courts && !config.availability)
+      layouts.unshift(() => sessionSlots(real, config));
+    let slots;
+    for (const [i, layout] of layouts.entries()) {
+      try {
+        slots = layout();
+        break;
+      } catch (e) {
+        if (i === layouts.length - 1) throw e;
+      }
+    }
+
+    const ordered = real
+      .map((p, i) => ({ p, i, slot: slots[p.key] }))
+      .sort(
+        (x, y) =>
+          x.slot.dayNum - y.slot.dayNum ||
+          x.slot.start - y.slot.start ||
+          x.i - y.i
+      );
+
+    const idOf = {};
+    const byDay = {};
+    const days = [];
+    const all = [];
+    const counters = {};
+
+    for (const { p, slot } of ordered) {
+      const day = `Day ${slot.dayNum}`;
+      if (!byDay[day]) {
+        byDay[day] = [];
+        days.push(day);
+        counters[day] = {};
+      }
+
+      const count = (counters[day][p.kind] || 0) + 1;
+      counters[day][p.kind] = count;
+      const id = `D${slot.dayNum}${p.kind}${p.kind === "F" ? "" : count}`;
+      idOf[p.key] = id;
+
+      const game = {
+        id,
+        day,
+        timeSlot: slot.timeSlot,
+        hour: formatMinutes(slot.start),
+        duration: slot.duration,
+        court: slot.court,
+        stage: p.stage,
+        from: p.from,
+        dependsOn: [],
+      };
+      // Byes can remove a semifinal, so number them after collapsing
+      if (p.kind === "SF") game.label = `Semifinal ${count}`;
+      else if (p.label) game.label = p.label;
+      if (p.group) {
+        game.group = true;
+        game.pool = p.pool;
+      }
+
+      byDay[day].push(game);
+      all.push(game);
+    }
+
+    for (const g of all) {
+      g.from = g.from.map((src) =>
+        src.winner
+          ? { winner: idOf[src.winner] }
+          : src.loser
+          ? { loser: idOf[src.loser] }
+          : src
+      );
+      const deps = new Set();
+      for (const src of g.from) {
+        if (src.winner || src.loser) deps.add(src.winner || src.loser);
+        if (src.rank)
+          all
+            .filter((x) => x.group && x.pool === src.pool)
+            .forEach((x) => deps.add(x.id));
+      }
+      g.dependsOn = [...deps];
+      if (g.from[0].team && g.from[1].team) {
+        g.teamA = g.from[0].team;
+        g.teamB = g.from[1].team;
+      }
+    }
+
+    const byId = {};
+    for (const g of all) byId[g.id] = g;
+
+    return {
+      format,
+      days,
+      byDay,
+      byId,
+      all,
+      final: all[all.length - 1],
+    };
+  }
+
+  // Stored with each score. Rows from before statuses existed have none and
+  // count as final once both scores are in.
+  const STATUSES = [
+    "scheduled",
+    "live",
+    "final",
+    "forfeit",
+    "postponed",
+    "cancelled",
+  ];
+
+  function isBlank(v) {
+    return v === null || v === undefined || v === "";
+  }
+
+  function gameStatus(gameId, state) {
+    const s = state.scores?.[gameId];
+    if (!s) return "scheduled";
+    if (s.status) return s.status;
+    return isBlank(s.a) || isBlank(s.b) ? "scheduled" : "final";
+  }
+
+  // "a" / "b" when the game has a valid result, otherwise null
+  function getResultSide(gameId, state) {
+    const s = state.scores?.[gameId];
+    if (!s) return null;
+
+    // Forfeits advance the named side without needing a score
+    const status = gameStatus(gameId, state);
+    if (status === "forfeit")
+      return s.forfeitWinner === "a" || s.forfeitWinner === "b"
+        ? s.forfeitWinner
+        : null;
+    if (status !== "final") return null;
+
+    const a = Number(s.a);
+    const b = Number(s.b);
+    if (isBlank(s.a) || isBlank(s.b)) return null;
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+    if (a === b) return null;
+    return a > b ? "a" : "b";
+  }
+
+  function getWinner(gameId, state, games) {
+    const side = getResultSide(gameId, state);
+    if (!side) return null;
+    const game = games?.byId?.[gameId];
+    const teams = game
+      ? resolveTeamsForGame(game, state, games)
+      : state.scores[gameId];
+    return side === "a" ? teams.teamA : teams.teamB;
+  }
+
+  function getLoser(gameId, state, games) {
+    const side = getResultSide(gameId, state);
+    if (!side) return null;
+    const game = games?.byId?.[gameId];
+    const teams = game
+      ? resolveTeamsForGame(game, state, games)
+      : state.scores[gameId];
+    return side === "a" ? teams.teamB : teams.teamA;
+  }
+
+  // Ties on wins are split by head-to-head wins among the tied teams,
+  // then point differential, then points scored.
+  function sortStandings(rows, results) {
+    const byWins = [...rows].sort((x, y) => y.w - x.w);
+    const sorted = [];
+    for (let i = 0; i < byWins.length; ) {
+      let j = i;
+      while (j < byWins.length && byWins[j].w === byWins[i].w) j++;
+
+      const tied = byWins.slice(i, j);
+      const names = new Set(tied.map((r) => r.team));
+      const h2h = {};
+      for (const r of results) {
+        if (names.has(r.winner) && names.has(r.loser))
+          h2h[r.winner] = (h2h[r.winner] || 0) + 1;
+      }
+
+      tied.sort(
+        (x, y) =>
+          (h2h[y.team] || 0) - (h2h[x.team] || 0) ||
+          y.diff - x.diff ||
+          y.pf - x.pf ||
+          x.team.localeCompare(y.team)
+      );
+      sorted.push(...tied);
+      i = j;
+    }
+    return sorted;
+  }
+
+  // { A: { table, complete }, B: ... } from the group games in state.scores
+  function computeStandings(games, state) {
+    const pools = {};
+    for (const g of games.all) {
+      if (!g.group) continue;
+      const pool = (pools[g.pool] = pools[g.pool] || {
+        rows: {},
+        results: [],
+        complete: true,
+      });
+      const row = (team) =>
+        (pool.rows[team] = pool.rows[team] || {
+          team,
+          w: 0,
+          l: 0,
+          pf: 0,
+          pa: 0,
+          diff: 0,
+        });
+
+      const rA = row(g.teamA);
+      const rB = row(g.teamB);
+      // Cancelled pool games are dropped from the table
+      if (gameStatus(g.id, state) === "cancelled") continue;
+      const side = getResultSide(g.id, state);
+      if (!side) {
+        pool.complete = false;
+        continue;
+      }
+
+      // A forfeit counts as a win/loss but adds no points
+      if (gameStatus(g.id, state) === "final") {
+        const a = Number(state.scores[g.id].a);
+        const b = Number(state.scores[g.id].b);
+        rA.pf += a;
+        rA.pa += b;
+        rB.pf += b;
+        rB.pa += a;
+        rA.diff = rA.pf - rA.pa;
+        rB.diff = rB.pf - rB.pa;
+      }
+
+      const [winner, loser] = side === "a" ? [rA, rB] : [rB, rA];
+      winner.w++;
+      loser.l++;
+      pool.results.push({ winner: winner.team, loser: loser.team });
+    }
+
+    const standings = {};
+    for (const [name, pool] of Object.entries(pools)) {
+      standings[name] = {
+        table: sortStandings(Object.values(pool.rows), pool.results),
+        complete: pool.complete,
+      };
+    }
+    return standings;
+  }
+
+  function resolveSource(src, state, games) {
+    if (src.team) return src.team;
+    if (src.winner)
+      return getWinner(src.winner, state, games) || `Winner ${src.winner}`;
+    if (src.loser)
+      return getLoser(src.loser, state, games) || `Loser ${src.loser}`;
+    if (src.rank) {
+      const pool = computeStandings(games, state)[src.pool];
+      const row = pool?.complete ? pool.table[src.rank - 1] : null;
+      if (row) return row.team;
+      return games.format === "pools"
+        ? `Pool ${src.pool} #${src.rank}`
+        : `Group #${src.rank}`;
+    }
+    return "TBD";
+  }
+
+  function resolveTeamsForGame(game, state, games) {
+    if (game.teamA && game.teamB)
+      return { teamA: game.teamA, teamB: game.teamB };
+
+    const [srcA, srcB] = game.from || [];
+    return {
+      teamA: srcA ? resolveSource(srcA, state, games) : "TBD",
+      teamB: srcB ? resolveSource(srcB, state, games) : "TBD",
+    };
+  }
+
+  function isDayComplete(dayGames, state) {
+    return dayGames.every(
+      (g) =>
+        !!getResultSide(g.id, state) || gameStatus(g.id, state) === "cancelled"
+    );
+  }
+
+  function computeLockedDays(games, state) {
+    // A day unlocks once every earlier day is fully scored
+    const locked = {};
+    let earlierComplete = true;
+    for (const day of games.days) {
+      locked[day] = !earlierComplete;
+      earlierComplete =
+        earlierComplete && isDayComplete(games.byDay[day], state);
+    }
+    return locked;
+  }
+
+  // Scored games whose teams change when one result goes from
+  // `beforeScores` to `afterScores`. Clearing those can move the games after
+  // them too, so keep going until nothing else changes.
+  function findAffectedGames(games, beforeScores, afterScores, changedId) {
+    const before = { scores: beforeScores };
+    const after = { scores: { ...afterScores } };
+    const teamsKey = (game, state) => {
+      const t = resolveTeamsForGame(game, state, games);
+      return `${t.teamA}\n${t.teamB}`;
+    };
+
+    const affected = [];
+    for (;;) {
+      const moved = games.all.filter(
+        (g) =>
+          g.id !== changedId &&
+          !affected.includes(g.id) &&
+          getResultSide(g.id, before) &&
+          teamsKey(g, after) !== teamsKey(g, before)
+      );
+      if (!moved.length) break;
+      for (const g of moved) {
+        affected.push(g.id);
+        delete after.scores[g.id];
+      }
+    }
+    return affected;
+  }
+
+  // Where this game's winner and loser play next (null when they don't)
+  function nextGames(games, gameId) {
+    const feeds = (key) =>
+      games.all.find((g) =>
+        (g.from || []).some((src) => src[key] === gameId)
+      ) || null;
+    return { winnerTo: feeds("winner"), loserTo: feeds("loser") };
+  }
+
+  // Knockout games laid out for drawing. One section per bracket (double
+  // elimination gets a separate losers bracket), each a list of rounds left
+  // to right. Games in a round are in tree order (walking back from the
+  // final through winner slots), so every game sits between its feeders.
+  function bracketSections(games) {
+    const order = {};
+    let next = 0;
+    const visit = (id) => {
+      const game = games.byId[id];
+      if (!game || game.group || id in order) return;
+      for (const src of game.from || []) if (src.winner) visit(src.winner);
+      order[id] = next++;
+    };
+    visit(games.final.id);
+
+    const isLosers = (g) => /^D\d+L\d+$/.test(g.id);
+    const knockout = games.all.filter((g) => !g.group);
+    const rank = (g) => order[g.id] ?? next + knockout.indexOf(g);
+
+    return [
+      { name: "Winners", games: knockout.filter((g) => !isLosers(g)) },
+      { name: "Losers", games: knockout.filter(isLosers) },
+    ]
+      .filter((section) => section.games.length)
+      .map(({ name, games: list }) => {
+        const stages = [...new Set(list.map((g) => g.stage))].sort(
+          (a, b) => a - b
+        );
+        return {
+          name,
+          rounds: stages.map((stage) =>
+            list
+              .filter((g) => g.stage === stage)
+              .sort((a, b) => rank(a) - rank(b))
+          ),
+        };
+      });
+  }
+
+  // Heading for one round of bracketSections: "Losers Round 2" as is,
+  // "Semifinal 1" / "Semifinal 2" -> "Semifinal", unnamed rounds by number
+  function roundTitle(round, index) {
+    const labels = round.map((g) => g.label || "");
+    if (labels.every((l) => l && l === labels[0])) return labels[0];
+    const names = new Set(labels.map((l) => l.replace(/\s+\d+$/, "")));
+    const [name] = names;
+    return names.size === 1 && name ? name : `Round ${index + 1}`;
+  }
+
+  // Every game a team is in (or is due to be in), with the result so far
+  function teamPath(games, state, teamName) {
+    const path = [];
+    for (const game of games.all) {
+      const teams = resolveTeamsForGame(game, state, games);
+      const side =
+        teams.teamA === teamName ? "a" : teams.teamB === teamName ? "b" : null;
+      if (!side) continue;
+
+      const result = getResultSide(game.id, state);
+      path.push({
+        game,
+        side,
+        opponent: side === "a" ? teams.teamB : teams.teamA,
+        result: result ? (result === side ? "W" : "L") : null,
+      });
+    }
+    return path;
+  }
+
+  // Games a team is in plus the ones it could still reach: later slots fed
+  // by an undecided game it's in (winner, or loser in double elimination)
+  // and knockout slots from an unfinished pool it plays in.
+  // games.all is in time order, so one pass sees every feeder first.
+  function teamReach(games, state, teamName) {
+    const confirmed = new Set();
+    const possible = new Set();
+    const pools = new Set(
+      games.all
+        .filter(
+          (g) => g.group && (g.teamA === teamName || g.teamB === teamName)
+        )
+        .map((g) => g.pool)
+    );
+    const standings = pools.size ? computeStandings(games, state) : {};
+    const alive = (id) =>
+      (confirmed.has(id) || possible.has(id)) && !getResultSide(id, state);
+
+    for (const game of games.all) {
+      const teams = resolveTeamsForGame(game, state, games);
+      if (teams.teamA === teamName || teams.teamB === teamName) {
+        confirmed.add(game.id);
+        continue;
+      }
+      const reachable = (game.from || []).some(
+        (src) =>
+          (src.winner && alive(src.winner)) ||
+          (src.loser && alive(src.loser)) ||
+          (src.rank && pools.has(src.pool) && !standings[src.pool]?.complete)
+      );
+      if (reachable) possible.add(game.id);
+    }
+    return { confirmed, possible };
+  }
+
+  // -----------------------------
+  // Score checks
+  // -----------------------------
+  const MAX_SCORE = 300;
+
+  function isSourceDecided(src, state, games) {
+    if (src.team) return true;
+    if (src.winner) return !!getWinner(src.winner, state, games);
+    if (src.loser) return !!getLoser(src.loser, state, games);
+    if (src.rank) return !!computeStandings(games, state)[src.pool]?.complete;
+    return false;
+  }
+
+  function isValidScore(n) {
+    return Number.isInteger(n) && n >= 0 && n <= MAX_SCORE;
+  }
+
+  // Why a score can't be written for this game right now, or null if it can.
+  // a/b are null when the score is being cleared. `detail` carries the
+  // status (default "final") plus period / forfeitWinner.
+  function scoreWriteError(games, state, gameId, a, b, detail = {}) {
+    const game = games.byId[gameId];
+    if (!game) return "Unknown game";
+    if (computeLockedDays(games, state)[game.day])
+      return `${game.day} is locked until earlier days are finished`;
+
+    const status = detail.status || (a === null && b === null ? null : "final");
+    if (!status) return null;
+    if (!STATUSES.includes(status)) return "Unknown status";
+
+    // Nothing has been played yet, so no teams or scores to check
+    if (["scheduled", "postponed", "cancelled"].includes(status)) return null;
+
+    const decided =
+      (game.teamA && game.teamB) ||
+      (game.from || []).every((src) => isSourceDecided(src, state, games));
+    if (!decided) return "Both teams for this game are not decided yet";
+
+    const scoreMsg = `Scores must be whole numbers from 0 to ${MAX_SCORE}`;
+    if (status === "forfeit") {
+      if (detail.forfeitWinner !== "a" && detail.forfeitWinner !== "b")
+        return "Pick which team wins the forfeit";
+      if ([a, b].some((n) => n !== null && !isValidScore(n))) return scoreMsg;
+      return null;
+    }
+
+    if (!isValidScore(a) || !isValidScore(b)) return scoreMsg;
+    if (
+      detail.period !== undefined &&
+      detail.period !== null &&
+      !(Number.isInteger(detail.period) && detail.period >= 1)
+    )
+      return "Period must be a positive whole number";
+    // A running score can be level; a final one can't
+    if (status === "final" && a === b) return "No ties allowed";
+    return null;
+  }
+
+  // -----------------------------
+  // Event definition
+  // -----------------------------
+  // Pads/trims a list of team names to the bracket size.
+  // Bracket size follows the team list unless a count is forced.
+  function teamList(names, teamCount) {
+    const list = Array.isArray(names) ? names : [];
+    const count = Number(teamCount) || list.length || 16;
+
+    const teams = [];
+    for (let i = 0; i < count; i++)
+      teams.push(String(list[i] || `Team ${i + 1}`).trim());
+    return teams;
+  }
+
+  // -----------------------------
+  // Draw tools (seeding)
+  // -----------------------------
+  // A draw turns a list of teams into a seed ranking (index 0 = seed 1).
+  // Seeded events store that ranking as the teams' bracket order and set
+  // settings.seeding = "seeded"; buildGames then places it 1v16, 8v9, ...
+
+  // Deterministic PRNG from any string, so a recorded seed replays the
+  // same draw: FNV-1a to get 32 bits, then mulberry32.
+  function seededRandom(seed) {
+    let h = 2166136261;
+    for (const ch of String(seed)) {
+      h ^= ch.charCodeAt(0);
+      h = Math.imul(h, 16777619);
+    }
+    let state = h >>> 0;
+    return function () {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function seededShuffle(list, seed) {
+    const rand = seededRandom(seed);
+    const out = [...list];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+
+  // Pool rankings ([["A1", "A2", ...], ["B1", ...]]) -> seeds, snaking
+  // across pools: A1 B1 C1, C2 B2 A2, A3 B3 C3, ...
+  function snakeSeeds(poolRankings) {
+    const depth = Math.max(0, ...poolRankings.map((list) => list.length));
+    const seeds = [];
+    for (let r = 0; r < depth; r++) {
+      const lap = poolRankings.map((list) => list[r]);
+      if (r % 2) lap.reverse();
+      seeds.push(...lap.filter(Boolean));
+    }
+    return seeds;
+  }
+
+  // Round-one meetings for a ranking: [{ seeds: [1, 16], teams: [..] }].
+  // A missing team is a bye (null).
+  function roundOnePairs(ranking) {
+    const order = seedOrder(nextPow2(Math.max(ranking.length, 2)));
+    const pairs = [];
+    for (let i = 0; i < order.length; i += 2) {
+      const seeds = [order[i], order[i + 1]];
+      pairs.push({ seeds, teams: seeds.map((s) => ranking[s - 1] || null) });
+    }
+    return pairs;
+  }
+
+  // Moves teams so no round-one game is between two teams of the same club.
+  // The lower seed of a clash swaps with the nearest seed that doesn't
+  // create a new clash, so the ranking changes as little as possible.
+  // Returns the new ranking and the swaps made, for the draw record.
+  function avoidClubClashes(ranking, clubOf) {
+    const out = [...ranking];
+    const swaps = [];
+    const club = (team) =>
+      team
+        ? String(clubOf(team) || "")
+            .trim()
+            .toLowerCase()
+        : "";
+    const pairs = roundOnePairs(out).map((p) => p.seeds);
+    const partner = {};
+    for (const [x, y] of pairs) {
+      partner[x] = y;
+      partner[y] = x;
+    }
+    const clashes = (seed) => {
+      const mine = club(out[seed - 1]);
+      return !!mine && mine === club(out[partner[seed] - 1]);
+    };
+
+    for (const [top, low] of pairs) {
+      if (!clashes(top)) continue;
+
+      const candidates = out
+        .map((_, i) => i + 1)
+        .filter((s) => s !== top && s !== low)
+        .sort((x, y) => Math.abs(x - low) - Math.abs(y - low) || x - y);
+      for (const s of candidates) {
+        [out[low - 1], out[s - 1]] = [out[s - 1], out[low - 1]];
+        if (!clashes(low) && !clashes(s)) {
+          swaps.push({ seeds: [low, s], teams: [out[s - 1], out[low - 1]] });
+          break;
+        }
+        [out[low - 1], out[s - 1]] = [out[s - 1], out[low - 1]];
+      }
+    }
+    return { ranking: out, swaps };
+  }
+
+  // Minutes a time zone is ahead of UTC at a given instant
+  function zoneOffsetMinutes(utcMs, timeZone) {
+    const parts = {};
+    for (const p of new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    }).formatToParts(new Date(utcMs)))
+      parts[p.type] = Number(p.value);
+
+    const asUtc = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    );
+    return (asUtc - utcMs) / 60000;
+  }
+
+  // Real start time (UTC ms) of a game. Games only know "Day 2" and
+  // "10:00 AM", so this needs settings.startDate ("2026-12-18", the date of
+  // Day 1) and settings.timeZone (IANA name, default Africa/Lagos).
+  // Null when the tournament has no start date.
+  function gameStartTime(game, settings) {
+    const start = /^(\d{4})-(\d{2})-(\d{2})$/.exec(settings?.startDate || "");
+    const dayNum = Number(/(\d+)/.exec(game.day || "")?.[1]);
+    if (!start || !dayNum) return null;
+
+    const { h, min } = parseTime12h(game.hour);
+    const local = Date.UTC(
+      Number(start[1]),
+      Number(start[2]) - 1,
+      Number(start[3]) + dayNum - 1,
+      h,
+      min
+    );
+    const timeZone = settings.timeZone || "Africa/Lagos";
+    return local - zoneOffsetMinutes(local, timeZone) * 60000;
+  }
+
+  // Tournament row from /api/tournaments -> initSchedule options.
+  function eventToOptions(event) {
+    const t = event?.tournament;
+    if (!t) return {};
+
+    const opts = { ...(t.settings || {}) };
+    if (t.format) opts.format = t.format;
+    if (t.days) opts.days = t.days;
+    if (t.court_name) opts.courtName = t.court_name;
+    if (event.teams.length) opts.teams = event.teams.map((team) => team.name);
+    return opts;
+  }
+
+  function gamesFromOptions(options) {
+    return buildGames(teamList(options.teams, options.teamCount), {
+      ...options,
+      format: options.format || "single-elimination",
+      days: options.days || 3,
+      courtName: options.courtName || "Dolphins Court",
+    });
+  }
+
+  // -----------------------------
+  // HTML escaping (pages, server-rendered previews and emails)
+  // -----------------------------
+  function escapeHtml(s) {
+    return String(s ?? "").replace(
+      /[&<>"']/g,
+      (c) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[c])
+    );
+  }
+
+  function escapeAttr(s) {
+    return escapeHtml(s).replace(/`/g, "&#96;");
+  }
+
+  return {
+    FORMATS,
+    MAX_SCORE,
+    STATUSES,
+    addMinutes,
+    avoidClubClashes,
+    bracketSections,
+    buildGames,
+    computeLockedDays,
+    computeStandings,
+    escapeAttr,
+    escapeHtml,
+    eventToOptions,
+    findAffectedGames,
+    gameStartTime,
+    gameStatus,
+    gamesFromOptions,
+    getLoser,
+    getResultSide,
+    getWinner,
+    isDayComplete,
+    nextGames,
+    parseTime12h,
+    resolveTeamsForGame,
+    roundOnePairs,
+    roundTitle,
+    scoreWriteError,
+    seedOrder,
+    seededShuffle,
+    snakeSeeds,
+    teamList,
+    teamPath,
+    teamReach,
+  };
+});
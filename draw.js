@@ -0,0 +1,154 @@
+// draw.js
+// Printable draw sheet (draw.html?tournament=...): seed list, round-one
+// meetings and how the draw was made, from /api/draw.
+
+(function () {
+  // Shared escaping from bracket.js
+  const { escapeHtml } = window.AdrenaleBracket;
+
+  // Same rules as schedule.js
+  function getApiBase() {
+    if (window.API_BASE_URL)
+      return String(window.API_BASE_URL).replace(/\/$/, "");
+
+    if (
+      location.hostname === "localhost" ||
+      location.hostname === "127.0.0.1"
+    ) {
+      return "https://adrenale5.vercel.app";
+    }
+
+    return "";
+  }
+
+  const MODE_TEXT = {
+    manual: "Manual ranking",
+    random: "Random draw",
+    snake: "Snake seeding from pool results",
+  };
+
+  function drawSummary(draw) {
+    if (!draw) return "Bracket order as entered (no draw made).";
+
+    const parts = [MODE_TEXT[draw.mode] || draw.mode];
+    if (draw.seed) parts.push(`seed ${draw.seed}`);
+    if (draw.avoidSameClub) parts.push("same-club teams kept apart");
+    if (draw.drawnAt)
+      parts.push(`made ${new Date(draw.drawnAt).toLocaleString()}`);
+    if (draw.drawnBy) parts.push(`by ${draw.drawnBy}`);
+    return parts.join(" • ");
+  }
+
+  function render(el, data) {
+    const { tournament, teams, draw, pairs } = data;
+
+    const seedRows = teams
+      .map(
+        (t, i) => `
+          <tr>
+            <td>${i + 1}</td>
+            <td>${escapeHtml(t.name)}</td>
+            <td>${escapeHtml(t.club || "")}</td>
+          </tr>`
+      )
+      .join("");
+
+    const pairRows = pairs
+      .map(
+        (p, i) => `
+          <tr>
+            <td>${i + 1}</td>
+            <td>(${p.seeds[0]}) ${escapeHtml(p.teams[0] || "Bye")}</td>
+            <td>(${p.seeds[1]}) ${escapeHtml(p.teams[1] || "Bye")}</td>
+          </tr>`
+      )
+      .join("");
+
+    const swapRows = (draw?.swaps || [])
+      .map(
+        (s) =>
+          `<li>${escapeHtml(s.teams[0])} (seed ${
+            s.seeds[0]
+          }) swapped with ${escapeHtml(s.teams[1])} (seed ${s.seeds[1]})</li>`
+      )
+      .join("");
+
+    el.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;flex-wrap:wrap;">
+        <div>
+          <h1 class="section-title" style="margin:0;">${escapeHtml(
+            tournament.name
+          )} – Draw</h1>
+          <div class="muted">${escapeHtml(drawSummary(draw))}</div>
+        </div>
+        <button class="btn schedule-controls" id="drawPrintBtn" type="button">Print</button>
+      </div>
+
+      <div class="card card-pad" style="margin-top:18px;overflow-x:auto;">
+        <h2 style="margin-top:0;font-size:16px;">Seeds</h2>
+        <table class="profile-table">
+          <thead><tr><th>Seed</th><th>Team</th><th>Club</th></tr></thead>
+          <tbody>${seedRows}</tbody>
+        </table>
+      </div>
+
+      ${
+        pairRows
+          ? `
+      <div class="card card-pad" style="margin-top:18px;overflow-x:auto;">
+        <h2 style="margin-top:0;font-size:16px;">Round one</h2>
+        <table class="profile-table">
+          <thead><tr><th>Game</th><th>Team A</th><th>Team B</th></tr></thead>
+          <tbody>${pairRows}</tbody>
+        </table>
+      </div>`
+          : ""
+      }
+
+      ${
+        swapRows
+          ? `
+      <div class="card card-pad" style="margin-top:18px;">
+        <h2 style="margin-top:0;font-size:16px;">Same-club adjustments</h2>
+        <ul style="margin:0;">${swapRows}</ul>
+      </div>`
+          : ""
+      }
+    `;
+
+    document.title = `${tournament.name} draw – Adrenale 5`;
+    document
+      .getElementById("drawPrintBtn")
+      .addEventListener("click", () => window.print());
+  }
+
+  async function init() {
+    const savedTheme = localStorage.getItem("theme");
+    if (savedTheme === "dark" || savedTheme === "light")
+      document.body.setAttribute("data-theme", savedTheme);
+
+    const el = document.getElementById("draw");
+    if (!el) return;
+
+    const tournament = new URLSearchParams(location.search).get("tournament");
+    const qs = tournament
+      ? `?tournament=${encodeURIComponent(tournament)}`
+      : "";
+
+    el.innerHTML = `<div class="muted">Loading…</div>`;
+    try {
+      const res = await fetch(`${getApiBase()}/api/draw${qs}`);
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json.error || "Failed to load");
+      render(el, json);
+    } catch (err) {
+      el.innerHTML = `<div class="muted">${escapeHtml(
+        err?.message || "Failed to load"
+      )}</div>`;
+    }
+  }
+
+  if (document.readyState === "loading")
+    document.addEventListener("DOMContentLoaded", init);
+  else init();
+})();
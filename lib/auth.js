@@ -0,0 +1,139 @@
+import { supabaseAdmin } from "./supabaseAdmin";
+
+const ALLOWLIST = (process.env.SCORE_ADMIN_USER_IDS || "")
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+export function getBearerToken(req) {
+  const auth = req.headers.authorization || "";
+  if (!auth.startsWith("Bearer ")) return "";
+  return auth.slice("Bearer ".length).trim();
+}
+
+export async function getUserFromRequest(req) {
+  const token = getBearerToken(req);
+  if (!token) return null;
+
+  const { data: userData, error: userErr } = await supabaseAdmin.auth.getUser(
+    token
+  );
+  if (userErr || !userData?.user) return null;
+  return userData.user;
+}
+
+// Roles live in Supabase so they can change without a redeploy.
+// SCORE_ADMIN_USER_IDS still works: those users are super admins, which
+// keeps a way in even if the table is emptied.
+//
+// Supabase table `user_roles`:
+//   id uuid pk, user_id uuid -> auth.users.id, email text (for display),
+//   role text ('super_admin' | 'director' | 'scorekeeper' | 'media'),
+//   tournament_id uuid -> tournaments.id (null = every edition),
+//   courts text[], game_ids text[] (scorekeepers only; both empty = every
+//   game), granted_by text, created_at
+export const ROLES = ["super_admin", "director", "scorekeeper", "media"];
+
+export const ROLE_COLUMNS =
+  "id,user_id,email,role,tournament_id,courts,game_ids,granted_by,created_at";
+
+// Which roles may do what. Everything but super_admin is limited to the
+// role's tournament, and scorekeepers to their courts / games.
+const PERMISSIONS = {
+  "scores:write": ["super_admin", "director", "scorekeeper"],
+  "tournaments:create": ["super_admin"],
+  "tournaments:write": ["super_admin", "director"],
+  "tournaments:delete": ["super_admin"],
+  "teams:write": ["super_admin", "director"],
+  "players:write": ["super_admin", "director"],
+  "players:profile": ["super_admin", "director", "media"],
+  "registrations:manage": ["super_admin", "director"],
+  "roles:manage": ["super_admin"],
+};
+
+export async function getRoles(user) {
+  const roles = ALLOWLIST.includes(user.id)
+    ? [{ role: "super_admin", tournament_id: null, source: "env" }]
+    : [];
+
+  const { data, error } = await supabaseAdmin
+    .from("user_roles")
+    .select(ROLE_COLUMNS)
+    .eq("user_id", user.id);
+  if (error) throw new Error(error.message);
+
+  return [...roles, ...(data || [])];
+}
+
+function gameInScope(role, game) {
+  const courts = role.courts || [];
+  const gameIds = role.game_ids || [];
+  if (!courts.length && !gameIds.length) return true;
+  return courts.includes(game.court) || gameIds.includes(game.id);
+}
+
+// scope: { tournamentId, game } - pass whatever the request touches.
+// Tournament-limited roles need a tournamentId to match against.
+export function can(roles, permission, scope = {}) {
+  const allowed = PERMISSIONS[permission] || [];
+  return roles.some((r) => {
+    if (!allowed.includes(r.role)) return false;
+    if (r.role === "super_admin") return true;
+    if (r.tournament_id && r.tournament_id !== scope.tournamentId) return false;
+    if (r.role === "scorekeeper" && scope.game)
+      return gameInScope(r, scope.game);
+    return true;
+  });
+}
+
+// What the signed-in user may score in one edition, for the schedule UI:
+// { canEdit, courts, gameIds } where empty lists mean every game.
+export async function scoreAccessFromRequest(req, tournamentId) {
+  const none = { canEdit: false, courts: [], gameIds: [] };
+  const user = await getUserFromRequest(req);
+  if (!user) return none;
+
+  const roles = (await getRoles(user)).filter((r) =>
+    can([r], "scores:write", { tournamentId })
+  );
+  if (!roles.length) return none;
+
+  // Any unrestricted role wins over court / game limits
+  if (
+    roles.some(
+      (r) =>
+        r.role !== "scorekeeper" ||
+        (!(r.courts || []).length && !(r.game_ids || []).length)
+    )
+  ) {
+    return { canEdit: true, courts: [], gameIds: [] };
+  }
+  return {
+    canEdit: true,
+    courts: [...new Set(roles.flatMap((r) => r.courts || []))],
+    gameIds: [...new Set(roles.flatMap((r) => r.game_ids || []))],
+  };
+}
+
+// Sends 401/403 itself; returns the user (with `roles`) only when they may
+// do `permission` within `scope`.
+export async function requireRole(req, res, permission, scope = {}) {
+  if (!getBearerToken(req)) {
+    res.status(401).json({ error: "Missing token" });
+    return null;
+  }
+
+  const user = await getUserFromRequest(req);
+  if (!user) {
+    res.status(401).json({ error: "Invalid token" });
+    return null;
+  }
+
+  const roles = await getRoles(user);
+  if (!can(roles, permission, scope)) {
+    res.status(403).json({ error: "Not allowed" });
+    return null;
+  }
+
+  return { ...user, roles };
+}
@@ -0,0 +1,90 @@
+import bracket from "../bracket";
+
+// iCalendar (RFC 5545) feeds built from the same games the schedule shows.
+// Start times come from bracket.gameStartTime, so a feed needs the
+// tournament's startDate (and optionally timeZone) setting. Times go out in
+// UTC so every calendar app reads them the same way.
+
+function icsDate(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+// Commas, semicolons, backslashes and newlines are special in text values
+function icsText(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const out = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    out.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  out.push(rest);
+  return out.join("\r\n");
+}
+
+function gameEvent({ tournament, game, games, state, stamp }) {
+  const startMs = bracket.gameStartTime(game, tournament.settings);
+  if (startMs === null) return [];
+
+  const { teamA, teamB } = bracket.resolveTeamsForGame(game, state, games);
+  const status = bracket.gameStatus(game.id, state);
+  const s = state.scores[game.id];
+
+  const title = `${teamA} vs ${teamB}${game.label ? ` (${game.label})` : ""}`;
+  const details = [`${tournament.name} • ${game.day} ${game.hour}`];
+  if (status === "final" && s) details.push(`Final: ${s.a}-${s.b}`);
+  if (status === "forfeit") details.push("Decided by forfeit");
+  if (status === "postponed") details.push("Postponed – new time to follow");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${tournament.id}-${game.id}@adrenale5`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${icsDate(startMs)}`,
+    `DTEND:${icsDate(startMs + (game.duration || 60) * 60000)}`,
+    `SUMMARY:${icsText(
+      status === "postponed" ? `POSTPONED: ${title}` : title
+    )}`,
+    `LOCATION:${icsText(game.court)}`,
+    `DESCRIPTION:${icsText(details.join("\n"))}`,
+    `STATUS:${status === "cancelled" ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+  ];
+}
+
+// The whole event, one team's games (as far as the bracket has placed
+// them) or a single game. Returns the .ics text.
+export function buildCalendar({ tournament, games, state, team, gameId }) {
+  let list = games.all;
+  if (team) list = bracket.teamPath(games, state, team).map((p) => p.game);
+  if (gameId) list = list.filter((g) => g.id === gameId);
+
+  const stamp = icsDate(Date.now());
+  const name = team ? `${team} – ${tournament.name}` : tournament.name;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Adrenale 5//Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(name)}`,
+    // Hint for subscribed feeds: check again every hour
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+    ...list.flatMap((game) =>
+      gameEvent({ tournament, game, games, state, stamp })
+    ),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,112 @@
+import crypto from "crypto";
+import bracket from "../bracket";
+import { supabaseAdmin } from "./supabaseAdmin";
+import { gamesForEvent, loadTournament } from "./tournaments";
+import { getScores } from "./scores";
+
+// Seeding for an edition. A draw produces a seed ranking, stores it as the
+// teams' bracket order (teams.position) and records how it was made in
+// tournaments.settings:
+//
+//   seeding: "seeded"            buildGames places the order 1v16, 8v9, ...
+//   draw: { mode, seed, sourceTournamentId, avoidSameClub, ranking,
+//           swaps, drawnAt, drawnBy }
+//
+// Modes:
+//   manual  the admin's order (team ids, seed 1 first)
+//   random  seededShuffle of the teams sorted by name; the seed is recorded
+//           so anyone can replay the same draw
+//   snake   pool standings of an earlier pools edition, snaked across pools
+export const DRAW_MODES = ["manual", "random", "snake"];
+
+// Team names in finishing order for each pool of a pools / round-robin edition
+async function poolRankings(sourceTournamentId) {
+  const event = await loadTournament(sourceTournamentId);
+  if (!event) return { error: "Source tournament not found" };
+
+  const { scores, error } = await getScores(sourceTournamentId);
+  if (error) return { error: error.message };
+
+  const standings = bracket.computeStandings(gamesForEvent(event), {
+    scores,
+  });
+  const pools = Object.keys(standings).sort();
+  if (!pools.length) return { error: "Source tournament has no pools" };
+  if (pools.some((p) => !standings[p].complete)) {
+    return { error: "Source tournament's pools aren't finished" };
+  }
+  return { rankings: pools.map((p) => standings[p].table.map((r) => r.team)) };
+}
+
+// -> { ranking: [team], draw } or { error } (a message for a 400)
+export async function makeDraw(teams, options) {
+  const { mode, order, sourceTournamentId, avoidSameClub } = options;
+  let seed = null;
+  let ranking;
+
+  if (mode === "manual") {
+    const byId = new Map(teams.map((t) => [t.id, t]));
+    if (
+      !Array.isArray(order) ||
+      order.length !== teams.length ||
+      new Set(order).size !== order.length ||
+      order.some((id) => !byId.has(id))
+    ) {
+      return { error: "Order must list every team exactly once" };
+    }
+    ranking = order.map((id) => byId.get(id));
+  } else if (mode === "random") {
+    seed = String(options.seed || crypto.randomBytes(4).toString("hex"));
+    const byName = [...teams].sort((a, b) => a.name.localeCompare(b.name));
+    ranking = bracket.seededShuffle(byName, seed);
+  } else if (mode === "snake") {
+    if (!sourceTournamentId) return { error: "Missing sourceTournamentId" };
+    const { rankings, error } = await poolRankings(sourceTournamentId);
+    if (error) return { error };
+
+    // Teams that didn't play the pools go after the pool finishers
+    const byName = new Map(teams.map((t) => [t.name, t]));
+    const snaked = bracket
+      .snakeSeeds(rankings)
+      .map((name) => byName.get(name))
+      .filter(Boolean);
+    ranking = [...snaked, ...teams.filter((t) => !snaked.includes(t))];
+  } else {
+    return { error: "Unknown draw mode" };
+  }
+
+  let swaps = [];
+  if (avoidSameClub) {
+    const byName = new Map(ranking.map((t) => [t.name, t]));
+    const result = bracket.avoidClubClashes(
+      ranking.map((t) => t.name),
+      (name) => byName.get(name)?.club
+    );
+    ranking = result.ranking.map((name) => byName.get(name));
+    swaps = result.swaps;
+  }
+
+  return {
+    ranking,
+    draw: {
+      mode,
+      seed,
+      sourceTournamentId: mode === "snake" ? sourceTournamentId : null,
+      avoidSameClub: !!avoidSameClub,
+      ranking: ranking.map((t) => t.name),
+      swaps,
+    },
+  };
+}
+
+// Writes the ranking as bracket order, seed 1 first
+export async function saveRanking(ranking) {
+  for (let i = 0; i < ranking.length; i++) {
+    const { error } = await supabaseAdmin
+      .from("teams")
+      .update({ position: i + 1 })
+      .eq("id", ranking[i].id);
+    if (error) return { error };
+  }
+  return { error: null };
+}
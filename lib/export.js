@@ -0,0 +1,370 @@
+import PDFDocument from "pdfkit";
+import bracket from "../bracket";
+
+// Downloadable results for organisers and sponsors, built from the same
+// games the schedule shows: every game with its teams, time, court and
+// score (CSV / JSON), and a printable PDF with the bracket, pool standings
+// and the full results list.
+
+export const EXPORT_FORMATS = ["csv", "json", "pdf"];
+
+const STATUS_LABELS = {
+  scheduled: "Scheduled",
+  live: "Live",
+  final: "Final",
+  forfeit: "Forfeit",
+  postponed: "Postponed",
+  cancelled: "Cancelled",
+};
+
+// One row per game, in schedule order. starts_at needs settings.startDate.
+export function resultRows({ tournament, games, state }) {
+  return games.all.map((game) => {
+    const { teamA, teamB } = bracket.resolveTeamsForGame(game, state, games);
+    const s = state.scores[game.id] || {};
+    const startMs = bracket.gameStartTime(game, tournament.settings);
+
+    return {
+      game_id: game.id,
+      round: game.label || (game.group ? `Pool ${game.pool}` : ""),
+      day: game.day,
+      time: game.hour,
+      starts_at: startMs === null ? null : new Date(startMs).toISOString(),
+      court: game.court,
+      team_a: teamA,
+      team_b: teamB,
+      score_a: s.a ?? null,
+      score_b: s.b ?? null,
+      status: bracket.gameStatus(game.id, state),
+      winner: bracket.getWinner(game.id, state, games),
+    };
+  });
+}
+
+// Only a knockout final crowns a champion; a round robin ends on standings
+function championOf(games, state) {
+  return games.final.group
+    ? null
+    : bracket.getWinner(games.final.id, state, games);
+}
+
+function hasPools(games) {
+  return games.all.some((g) => g.group);
+}
+
+export function resultsJson(data) {
+  const { tournament, games, state } = data;
+  return {
+    tournament: {
+      id: tournament.id,
+      name: tournament.name,
+      format: tournament.format,
+      finalized: !!tournament.finalized_at,
+    },
+    exportedAt: new Date().toISOString(),
+    champion: championOf(games, state),
+    standings: hasPools(games) ? bracket.computeStandings(games, state) : null,
+    games: resultRows(data).map((row) => ({
+      ...row,
+      winner: row.winner || null,
+    })),
+  };
+}
+
+// Quotes cells that need it. Cells starting with = + - @ get a leading
+// apostrophe so spreadsheet apps don't run team names as formulas.
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// BOM first so Excel opens it as UTF-8
+export function resultsCsv(data) {
+  const rows = resultRows(data);
+  const header = Object.keys(rows[0] || { game_id: "" });
+  const lines = [
+    header.join(","),
+    ...rows.map((row) => header.map((key) => csvCell(row[key])).join(",")),
+  ];
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+// -----------------------------
+// PDF
+// -----------------------------
+const GREEN = "#16854d";
+const MUTED = "#6b7280";
+
+function bottomOf(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function heading(doc, text) {
+  if (doc.y + 40 > bottomOf(doc)) doc.addPage();
+  doc
+    .moveDown(0.6)
+    .font("Helvetica-Bold")
+    .fontSize(13)
+    .fillColor("#111827")
+    .text(text, doc.page.margins.left, doc.y);
+  doc.moveDown(0.3);
+}
+
+function drawMatch(doc, game, games, state, box) {
+  const { teamA, teamB } = bracket.resolveTeamsForGame(game, state, games);
+  const winner = bracket.getWinner(game.id, state, games);
+  const s = state.scores[game.id] || {};
+  const { x, y, w, h, size } = box;
+
+  doc.lineWidth(0.75).strokeColor("#9ca3af").rect(x, y, w, h).stroke();
+  [
+    [teamA, s.a],
+    [teamB, s.b],
+  ].forEach(([name, score], i) => {
+    const ty = y + 2 + (i * h) / 2;
+    doc
+      .font(winner && name === winner ? "Helvetica-Bold" : "Helvetica")
+      .fontSize(size)
+      .fillColor(winner && name !== winner ? MUTED : "#111827")
+      .text(name, x + 4, ty, {
+        width: w - 30,
+        height: h / 2,
+        lineBreak: false,
+        ellipsis: true,
+      })
+      .text(score ?? "", x + w - 24, ty, {
+        width: 20,
+        align: "right",
+        lineBreak: false,
+      });
+  });
+}
+
+// One bracket section on its own page: rounds as columns, games spread
+// evenly down each column, elbow lines from a game to where its winner goes
+function drawBracket(doc, section, games, state, title) {
+  doc.addPage();
+  heading(doc, title);
+
+  const left = doc.page.margins.left;
+  const top = doc.y + 4;
+  const width = contentWidth(doc);
+  const height = bottomOf(doc) - top - 16;
+  const cols = section.rounds.length;
+  const boxW = Math.min(160, (width - 24 * (cols - 1)) / cols);
+  const colStep = cols > 1 ? (width - boxW) / (cols - 1) : 0;
+  const most = Math.max(...section.rounds.map((r) => r.length));
+  const boxH = Math.max(16, Math.min(34, height / most - 6));
+  const size = boxH < 24 ? 6 : 8;
+  const pos = {};
+
+  section.rounds.forEach((round, r) => {
+    const x = left + r * colStep;
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(8)
+      .fillColor(MUTED)
+      .text(bracket.roundTitle(round, r), x, top, {
+        width: boxW,
+        align: "center",
+        lineBreak: false,
+      });
+
+    const slot = height / round.length;
+    round.forEach((game, i) => {
+      const y = top + 16 + slot * i + (slot - boxH) / 2;
+      pos[game.id] = { x, y };
+      drawMatch(doc, game, games, state, { x, y, w: boxW, h: boxH, size });
+    });
+  });
+
+  doc.lineWidth(1).strokeColor(GREEN);
+  for (const round of section.rounds) {
+    for (const game of round) {
+      for (const src of game.from || []) {
+        const from = src.winner && pos[src.winner];
+        if (!from) continue;
+        const to = pos[game.id];
+        const x1 = from.x + boxW;
+        const y1 = from.y + boxH / 2;
+        const x2 = to.x;
+        const y2 = to.y + boxH / 2;
+        const mid = (x1 + x2) / 2;
+        doc.moveTo(x1, y1).lineTo(mid, y1).lineTo(mid, y2).lineTo(x2, y2);
+        doc.stroke();
+      }
+    }
+  }
+}
+
+// Fixed-width columns; starts a new page (and repeats the header) when full
+function drawTable(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const rowH = 15;
+
+  const line = (cells, bold) => {
+    if (doc.y + rowH > bottomOf(doc)) {
+      doc.addPage();
+      if (!bold)
+        line(
+          columns.map((c) => c.label),
+          true
+        );
+    }
+    const y = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc
+        .font(bold ? "Helvetica-Bold" : "Helvetica")
+        .fontSize(8)
+        .fillColor(bold ? MUTED : "#111827")
+        .text(String(cell ?? ""), x + 2, y + 3, {
+          width: columns[i].width - 4,
+          height: rowH,
+          lineBreak: false,
+          ellipsis: true,
+        });
+      x += columns[i].width;
+    });
+    doc
+      .lineWidth(0.5)
+      .strokeColor("#e5e7eb")
+      .moveTo(left, y + rowH)
+      .lineTo(x, y + rowH)
+      .stroke();
+    doc.x = left;
+    doc.y = y + rowH;
+  };
+
+  line(
+    columns.map((c) => c.label),
+    true
+  );
+  for (const row of rows) line(row, false);
+}
+
+const RESULT_COLUMNS = [
+  { label: "Day", width: 48 },
+  { label: "Time", width: 58 },
+  { label: "Court", width: 110 },
+  { label: "Round", width: 120 },
+  { label: "Team A", width: 150 },
+  { label: "Score", width: 60 },
+  { label: "Team B", width: 150 },
+  { label: "Status", width: 70 },
+];
+
+const STANDINGS_COLUMNS = [
+  { label: "#", width: 30 },
+  { label: "Team", width: 200 },
+  { label: "W", width: 40 },
+  { label: "L", width: 40 },
+  { label: "PF", width: 50 },
+  { label: "PA", width: 50 },
+  { label: "+/-", width: 50 },
+];
+
+// Resolves with the PDF as a Buffer
+export function resultsPdf(data) {
+  const { tournament, games, state } = data;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margin: 36,
+      info: { Title: `${tournament.name} results` },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(20)
+      .fillColor("#111827")
+      .text(tournament.name || "Adrenale 5");
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .fillColor(MUTED)
+      .text(
+        `${tournament.finalized_at ? "Final results" : "Results so far"} • ${
+          games.all.length
+        } games • exported ${new Date().toUTCString()}`
+      );
+
+    const champion = championOf(games, state);
+    if (champion) {
+      doc
+        .moveDown(0.6)
+        .font("Helvetica-Bold")
+        .fontSize(14)
+        .fillColor(GREEN)
+        .text(`Champion: ${champion}`);
+    }
+
+    if (hasPools(games)) {
+      for (const [pool, { table, complete }] of Object.entries(
+        bracket.computeStandings(games, state)
+      )) {
+        heading(
+          doc,
+          `${games.format === "pools" ? `Pool ${pool}` : "Round Robin"}${
+            complete ? "" : " (in progress)"
+          }`
+        );
+        drawTable(
+          doc,
+          STANDINGS_COLUMNS,
+          table.map((r, i) => [
+            i + 1,
+            r.team,
+            r.w,
+            r.l,
+            r.pf,
+            r.pa,
+            r.diff > 0 ? `+${r.diff}` : r.diff,
+          ])
+        );
+      }
+    }
+
+    heading(doc, "Results");
+    drawTable(
+      doc,
+      RESULT_COLUMNS,
+      resultRows(data).map((row) => [
+        row.day,
+        row.time,
+        row.court,
+        row.round,
+        row.team_a,
+        row.score_a === null ? "" : `${row.score_a} - ${row.score_b}`,
+        row.team_b,
+        STATUS_LABELS[row.status] || row.status,
+      ])
+    );
+
+    if (!games.final.group) {
+      const sections = bracket.bracketSections(games);
+      for (const section of sections) {
+        drawBracket(
+          doc,
+          section,
+          games,
+          state,
+          sections.length > 1 ? `${section.name} bracket` : "Bracket"
+        );
+      }
+    }
+
+    doc.end();
+  });
+}
@@ -0,0 +1,76 @@
+// Mail sender used for newsletter confirmations and notifications.
+//
+// MAIL_TRANSPORT=resend sends through Resend (RESEND_API_KEY, MAIL_FROM).
+// MAIL_TRANSPORT=fake (the default outside production) only keeps the last
+// messages in memory (see `fakeOutbox`), so nothing leaves a dev machine.
+// A production build with no transport configured throws instead of
+// quietly dropping subscribers' mail. Every transport has one call:
+//
+//   send({ to, subject, text, html }) -> { id }
+
+const RESEND_API = "https://api.resend.com/emails";
+
+const FAKE_OUTBOX_SIZE = 50;
+
+export const fakeOutbox = [];
+
+let fakeCount = 0;
+
+const fakeTransport = {
+  name: "fake",
+
+  async send(message) {
+    const id = `fake-${++fakeCount}`;
+    fakeOutbox.push({ id, ...message });
+    if (fakeOutbox.length > FAKE_OUTBOX_SIZE) fakeOutbox.shift();
+    return { id };
+  },
+};
+
+const resendTransport = {
+  name: "resend",
+
+  async send({ to, subject, text, html }) {
+    const key = process.env.RESEND_API_KEY;
+    if (!key) throw new Error("RESEND_API_KEY is not set");
+
+    const res = await fetch(RESEND_API, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${key}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        from: process.env.MAIL_FROM || "Adrenale 5 <no-reply@adrenale5.com>",
+        to,
+        subject,
+        text,
+        html,
+      }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.message || "Mail provider error");
+    return { id: json.id };
+  },
+};
+
+let override = null;
+
+// Lets scripts/tests swap in their own transport
+export function setMailer(transport) {
+  override = transport;
+}
+
+export function getMailer() {
+  if (override) return override;
+  const transport =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? "" : "fake");
+  if (transport === "resend") return resendTransport;
+  if (transport === "fake") return fakeTransport;
+  throw new Error(
+    transport
+      ? `Unknown MAIL_TRANSPORT "${transport}"`
+      : "MAIL_TRANSPORT is not set"
+  );
+}
@@ -0,0 +1,214 @@
+import bracket from "../bracket";
+import { supabaseAdmin } from "./supabaseAdmin";
+import { getMailer } from "./mailer";
+import { sendPush } from "./push";
+import { siteOrigin } from "./site";
+import { newToken } from "./subscribers";
+
+// Result notifications, fired by writeScore once a game has a winner (or
+// the winner changes after a correction). Three audiences:
+//
+//   - confirmed newsletter subscribers with notify_results on, limited to
+//     their `teams` list when they picked any
+//   - captains of approved registrations for either team (notify_results),
+//     with their own opt-out link (notify_token)
+//   - browser push subscriptions following either team (push_subscriptions)
+//
+// A failed send never fails the score write: notifyScoreWrite never throws,
+// it reports what failed in its result.
+
+function stripRoundNumber(label) {
+  return String(label || "").replace(/\s+\d+$/, "");
+}
+
+// "advance to the Semifinal at 10:00 AM" / "... on Day 3"
+function nextGameText(verb, game, fromGame) {
+  if (!game) return null;
+  const round = stripRoundNumber(game.label);
+  const where = round ? `the ${round}` : "the next round";
+  const when = game.day !== fromGame.day ? ` on ${game.day}` : "";
+  return `${verb} ${where} at ${game.hour}${when}`;
+}
+
+// Pure: what to say about a decided game. Exported for scripts/tests.
+export function resultMessage(games, state, gameId, tournamentName) {
+  const game = games.byId[gameId];
+  const side = bracket.getResultSide(gameId, state);
+  if (!game || !side) return null;
+
+  const winner = bracket.getWinner(gameId, state, games);
+  const loser = bracket.getLoser(gameId, state, games);
+  const s = state.scores[gameId];
+  const forfeit = bracket.gameStatus(gameId, state) === "forfeit";
+  const score = forfeit
+    ? "by forfeit"
+    : `${Math.max(s.a, s.b)}-${Math.min(s.a, s.b)}`;
+
+  const { winnerTo, loserTo } = bracket.nextGames(games, gameId);
+  const lines = [`${winner} beat ${loser} ${score}.`];
+  let headline;
+
+  if (!winnerTo && /championship/i.test(game.label || "")) {
+    headline = `${winner} are the ${tournamentName || "tournament"} champions!`;
+  } else if (winnerTo) {
+    headline = `${winner} ${nextGameText("advance to", winnerTo, game)}`;
+  } else {
+    headline = `${winner} beat ${loser}`;
+  }
+  const dropText = nextGameText("drop to", loserTo, game);
+  if (dropText) lines.push(`${loser} ${dropText}.`);
+
+  return {
+    title: headline,
+    body: lines.join(" "),
+    teams: [winner, loser],
+    url: `/game/${encodeURIComponent(gameId)}`,
+  };
+}
+
+function decidedWinner(games, scores, gameId) {
+  return bracket.getWinner(gameId, { scores }, games);
+}
+
+async function subscriberRecipients(teams) {
+  const { data, error } = await supabaseAdmin
+    .from("subscribers")
+    .select("email,unsubscribe_token,teams")
+    .eq("status", "confirmed")
+    .eq("notify_results", true);
+  if (error) throw new Error(error.message);
+
+  return (data || []).filter(
+    (s) => !s.teams?.length || s.teams.some((t) => teams.includes(t))
+  );
+}
+
+async function captainRecipients(teamIds) {
+  if (!teamIds.length) return [];
+  const { data, error } = await supabaseAdmin
+    .from("registrations")
+    .select("id,captain_email,team_id,notify_token")
+    .eq("status", "approved")
+    .eq("notify_results", true)
+    .in("team_id", teamIds);
+  if (error) throw new Error(error.message);
+
+  // Older registrations have no opt-out token yet
+  return Promise.all(
+    (data || []).map(async (c) => {
+      if (c.notify_token) return c;
+      const token = newToken();
+      const { error: tokenErr } = await supabaseAdmin
+        .from("registrations")
+        .update({ notify_token: token })
+        .eq("id", c.id);
+      if (tokenErr) throw new Error(tokenErr.message);
+      return { ...c, notify_token: token };
+    })
+  );
+}
+
+async function pushRecipients(teamIds) {
+  if (!teamIds.length) return [];
+  const { data, error } = await supabaseAdmin
+    .from("push_subscriptions")
+    .select("endpoint,keys")
+    .in("team_id", teamIds);
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+function emailFor(message, origin, unsubscribeToken) {
+  const link = `${origin}${message.url}`;
+  const unsub = unsubscribeToken
+    ? `${origin}/api/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`
+    : null;
+
+  return {
+    subject: message.title,
+    text: `${message.body}\n\nFull schedule: ${link}${
+      unsub ? `\n\nUnsubscribe: ${unsub}` : ""
+    }`,
+    html: `<p><strong>${bracket.escapeHtml(
+      message.title
+    )}</strong></p><p>${bracket.escapeHtml(
+      message.body
+    )}</p><p><a href="${link}">Full schedule</a></p>${
+      unsub ? `<p><a href="${unsub}">Unsubscribe</a></p>` : ""
+    }`,
+  };
+}
+
+export async function notifyScoreWrite(write) {
+  try {
+    return await sendResultNotifications(write);
+  } catch (err) {
+    return { sent: 0, failed: 0, error: err.message };
+  }
+}
+
+async function sendResultNotifications({
+  event,
+  games,
+  gameId,
+  before,
+  after,
+}) {
+  const wasWinner = decidedWinner(games, before, gameId);
+  const winner = decidedWinner(games, after, gameId);
+  if (!winner || winner === wasWinner) return { sent: 0 };
+
+  const message = resultMessage(
+    games,
+    { scores: after },
+    gameId,
+    event.tournament.name
+  );
+  if (!message) return { sent: 0 };
+
+  const teamIds = event.teams
+    .filter((t) => message.teams.includes(t.name))
+    .map((t) => t.id);
+
+  const [subscribers, captains, pushSubs] = await Promise.all([
+    subscriberRecipients(message.teams),
+    captainRecipients(teamIds),
+    pushRecipients(teamIds),
+  ]);
+
+  const origin = siteOrigin();
+  // A missing mail transport fails the emails, not the pushes
+  const sendMail = async (mail) => getMailer().send(mail);
+  const emailed = new Set();
+  const jobs = [];
+
+  for (const s of subscribers) {
+    emailed.add(s.email);
+    jobs.push(
+      sendMail({
+        to: s.email,
+        ...emailFor(message, origin, s.unsubscribe_token),
+      })
+    );
+  }
+  for (const c of captains) {
+    const to = String(c.captain_email || "").toLowerCase();
+    if (!to || emailed.has(to)) continue;
+    emailed.add(to);
+    jobs.push(sendMail({ to, ...emailFor(message, origin, c.notify_token) }));
+  }
+  for (const sub of pushSubs) {
+    jobs.push(sendPush(sub, message));
+  }
+
+  const results = await Promise.allSettled(jobs);
+  const failed = results.filter((r) => r.status === "rejected");
+
+  return {
+    sent: results.length - failed.length,
+    failed: failed.length,
+    error: failed.length
+      ? String(failed[0].reason?.message || failed[0].reason)
+      : null,
+  };
+}
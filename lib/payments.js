@@ -0,0 +1,126 @@
+// Payment provider adapter for registration fees.
+//
+// PAYMENT_PROVIDER=paystack uses Paystack (PAYSTACK_SECRET_KEY).
+// PAYMENT_PROVIDER=mock needs no keys and treats every checkout as paid
+// once verified; only for local development. Unset (or anything else) is
+// manual: no online checkout, registrations stay unpaid until a director
+// marks them paid. All three expose the same two calls:
+//
+//   createCheckout({ reference, amount, email, callbackUrl })
+//     -> { reference, url, status? }   (url null when there's nothing to
+//        redirect to; status is the payment_status to start from, default
+//        "pending")
+//   verifyPayment(reference)
+//     -> { status: "paid" | "pending" | "failed" | "unpaid", amount }
+//
+// Amounts are in kobo (NGN x 100).
+
+const PAYSTACK_API = "https://api.paystack.co";
+
+const mockProvider = {
+  name: "mock",
+
+  async createCheckout({ reference }) {
+    return { reference, url: null };
+  },
+
+  async verifyPayment(reference) {
+    return { status: reference ? "paid" : "failed", amount: null };
+  },
+};
+
+const manualProvider = {
+  name: "manual",
+
+  async createCheckout({ reference }) {
+    return { reference, url: null, status: "unpaid" };
+  },
+
+  // Cash / bank transfers are only ever confirmed by hand ("mark-paid")
+  async verifyPayment() {
+    return { status: "unpaid", amount: null };
+  },
+};
+
+const paystackProvider = {
+  name: "paystack",
+
+  async createCheckout({ reference, amount, email, callbackUrl }) {
+    const json = await paystackRequest("/transaction/initialize", {
+      method: "POST",
+      body: JSON.stringify({
+        reference,
+        amount,
+        email,
+        currency: "NGN",
+        callback_url: callbackUrl,
+      }),
+    });
+    return { reference, url: json.data?.authorization_url || null };
+  },
+
+  async verifyPayment(reference) {
+    const json = await paystackRequest(
+      `/transaction/verify/${encodeURIComponent(reference)}`,
+      { method: "GET" }
+    );
+    const status = json.data?.status;
+    return {
+      status:
+        status === "success"
+          ? "paid"
+          : status === "failed" || status === "abandoned"
+          ? "failed"
+          : "pending",
+      amount: json.data?.amount ?? null,
+    };
+  },
+};
+
+async function paystackRequest(path, init) {
+  const key = process.env.PAYSTACK_SECRET_KEY;
+  if (!key) throw new Error("PAYSTACK_SECRET_KEY is not set");
+
+  const res = await fetch(`${PAYSTACK_API}${path}`, {
+    ...init,
+    headers: {
+      Authorization: `Bearer ${key}`,
+      "Content-Type": "application/json",
+    },
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json.status === false) {
+    throw new Error(json.message || "Payment provider error");
+  }
+  return json;
+}
+
+let override = null;
+
+// Lets scripts/tests swap in their own provider
+export function setPaymentProvider(provider) {
+  override = provider;
+}
+
+const PROVIDERS = {
+  paystack: paystackProvider,
+  mock: mockProvider,
+  manual: manualProvider,
+};
+
+// The configured provider, or the one a registration was started with
+// (registrations.payment_provider) so switching providers doesn't strand
+// earlier checkouts
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER) {
+  if (override) return override;
+  return PROVIDERS[name] || manualProvider;
+}
+
+// Entry fee in kobo: tournament settings first, then env, then ₦100k
+export function registrationFee(tournament) {
+  const naira =
+    Number(tournament?.settings?.entryFee) ||
+    Number(process.env.REGISTRATION_FEE_NGN) ||
+    100000;
+  return Math.round(naira * 100);
+}
@@ -0,0 +1,62 @@
+import webpush from "web-push";
+import { supabaseAdmin } from "./supabaseAdmin";
+
+// Browser Web Push (VAPID). Keys come from VAPID_PUBLIC_KEY and
+// VAPID_PRIVATE_KEY (generate once with `npx web-push generate-vapid-keys`);
+// VAPID_SUBJECT is a mailto: or https: contact for the push services.
+// Without keys nothing is sent.
+//
+// Supabase table `push_subscriptions`:
+//   id uuid pk, endpoint text unique, keys jsonb ({ p256dh, auth }),
+//   team_id uuid -> teams.id, created_at
+export const PUSH_COLUMNS = "id,endpoint,keys,team_id,created_at";
+
+export function vapidPublicKey() {
+  return process.env.VAPID_PUBLIC_KEY || null;
+}
+
+let configured = false;
+
+// False until VAPID keys are set
+function configure() {
+  const publicKey = process.env.VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) return false;
+
+  if (!configured) {
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || "mailto:hello@adrenale5.com",
+      publicKey,
+      privateKey
+    );
+    configured = true;
+  }
+  return true;
+}
+
+// Sends { title, body, url } to one subscription. Subscriptions the push
+// service says are gone (404/410) are deleted so they aren't retried.
+export async function sendPush(subscription, message) {
+  if (!configure()) return { skipped: true };
+
+  try {
+    await webpush.sendNotification(
+      { endpoint: subscription.endpoint, keys: subscription.keys },
+      JSON.stringify({
+        title: message.title,
+        body: message.body,
+        url: message.url,
+      })
+    );
+    return { skipped: false };
+  } catch (err) {
+    if (err.statusCode === 404 || err.statusCode === 410) {
+      await supabaseAdmin
+        .from("push_subscriptions")
+        .delete()
+        .eq("endpoint", subscription.endpoint);
+      return { skipped: true };
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,23 @@
+// Fixed-window request counter kept in memory. Serverless instances don't
+// share memory, so this only slows down bursts against one instance; it is
+// a speed bump for forms, not a security boundary.
+const buckets = new Map();
+
+export function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "");
+  return forwarded.split(",")[0].trim() || req.socket?.remoteAddress || "";
+}
+
+// true while `key` has made fewer than `limit` calls in the current window
+export function rateLimit(key, { limit, windowMs }) {
+  const now = Date.now();
+  const bucket = buckets.get(key);
+
+  if (!bucket || now - bucket.start >= windowMs) {
+    buckets.set(key, { start: now, count: 1 });
+    return true;
+  }
+
+  bucket.count++;
+  return bucket.count <= limit;
+}
@@ -0,0 +1,123 @@
+import { supabaseAdmin } from "./supabaseAdmin";
+import { getPaymentProvider } from "./payments";
+import { hasResults, teamNameTaken } from "./tournaments";
+
+// Supabase table `registrations`:
+//   id uuid pk, tournament_id uuid -> tournaments.id, team_name text,
+//   captain_name text, captain_email text, captain_phone text,
+//   roster jsonb ([{ name, jersey, position }]),
+//   status text ('pending' | 'approved' | 'rejected'),
+//   payment_status text ('unpaid' | 'pending' | 'paid' | 'failed'),
+//   payment_provider text, payment_reference text unique, amount int (kobo),
+//   team_id uuid -> teams.id (set on approval),
+//   notify_results bool default true (captain gets result emails),
+//   notify_token text unique (opt-out link in those emails; rows from
+//   before it existed get one on their first result email),
+//   created_at, updated_at
+export const REGISTRATION_COLUMNS =
+  "id,tournament_id,team_name,captain_name,captain_email,captain_phone,roster,status,payment_status,payment_provider,payment_reference,amount,team_id,notify_results,notify_token,created_at,updated_at";
+
+// Asks the provider the checkout went through about the payment and stores
+// what it says. A payment for less than the fee doesn't count as paid.
+export async function refreshPaymentStatus(registration) {
+  if (!registration.payment_reference) return { registration, error: null };
+  if (registration.payment_status === "paid")
+    return { registration, error: null };
+
+  const verified = await getPaymentProvider(
+    registration.payment_provider
+  ).verifyPayment(registration.payment_reference);
+  const status =
+    verified.status === "paid" &&
+    verified.amount !== null &&
+    verified.amount < registration.amount
+      ? "failed"
+      : verified.status;
+  if (status === registration.payment_status)
+    return { registration, error: null };
+
+  const { data, error } = await supabaseAdmin
+    .from("registrations")
+    .update({ payment_status: status, updated_at: new Date().toISOString() })
+    .eq("id", registration.id)
+    .select(REGISTRATION_COLUMNS)
+    .single();
+  return { registration: data || registration, error };
+}
+
+// Turns an approved registration into a team (last in the bracket order)
+// plus its roster, so it shows up in the schedule straight away. Refused
+// ({ locked: true }) once the edition has results: a new team reshapes
+// the bracket under the stored scores; and ({ duplicate: true }) when the
+// edition already has a team by that name. Supabase has no transactions
+// here, so a failed step deletes the team again.
+export async function approveRegistration(registration) {
+  const { tournament_id: tournamentId, team_name: name } = registration;
+  if (await hasResults(tournamentId)) return { locked: true };
+  if (await teamNameTaken(tournamentId, name)) return { duplicate: true };
+
+  const { data: last, error: lastErr } = await supabaseAdmin
+    .from("teams")
+    .select("position")
+    .eq("tournament_id", tournamentId)
+    .order("position", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (lastErr) return { error: lastErr };
+
+  const { data: team, error: teamErr } = await supabaseAdmin
+    .from("teams")
+    .insert({
+      tournament_id: tournamentId,
+      name,
+      position: (last?.position ?? 0) + 1,
+    })
+    .select("id,name,position")
+    .single();
+  if (teamErr) return { error: teamErr };
+
+  // A second approval running at the same time
+  if (await teamNameTaken(tournamentId, name, team.id)) {
+    await removeTeam(team.id);
+    return { duplicate: true };
+  }
+
+  const players = (registration.roster || []).map((p) => ({
+    team_id: team.id,
+    name: p.name,
+    jersey: p.jersey ?? null,
+    position: p.position || null,
+  }));
+  if (players.length) {
+    const { error: playersErr } = await supabaseAdmin
+      .from("players")
+      .insert(players);
+    if (playersErr) {
+      await removeTeam(team.id);
+      return { error: playersErr };
+    }
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from("registrations")
+    .update({
+      status: "approved",
+      team_id: team.id,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", registration.id)
+    .select(REGISTRATION_COLUMNS)
+    .single();
+  if (error) {
+    await removeTeam(team.id);
+    return { error };
+  }
+  return { registration: data, team, error: null };
+}
+
+// Undoes a half-finished approval. Best effort: the caller reports the
+// error that got us here.
+async function removeTeam(teamId) {
+  await supabaseAdmin.from("players").delete().eq("team_id", teamId);
+  await supabaseAdmin.from("teams").delete().eq("id", teamId);
+}
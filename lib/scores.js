@@ -0,0 +1,292 @@
+import bracket from "../bracket";
+import { supabaseAdmin } from "./supabaseAdmin";
+import { gamesForEvent, loadTournament } from "./tournaments";
+import { waitUntil } from "@vercel/functions";
+import { notifyScoreWrite } from "./notify";
+
+// Supabase table `score_audit` (one row per write, never updated):
+//   id bigint pk, tournament_id uuid, game_id text, user_id uuid,
+//   user_email text, action text ('save' | 'delete' | 'undo' | 'cascade'),
+//   old_a int, old_b int, new_a int, new_b int,
+//   old_detail jsonb, new_detail jsonb ({ status, period, forfeitWinner }),
+//   created_at
+
+export const SCORE_COLUMNS =
+  "game_id,a,b,status,period,forfeit_winner,team_a,team_b,updated_at";
+
+// DB row -> the shape schedule.js and bracket.js keep in state.scores
+export function rowToScore(row) {
+  return {
+    a: row.a,
+    b: row.b,
+    status: row.status || null,
+    period: row.period ?? null,
+    forfeitWinner: row.forfeit_winner || null,
+    teamA: row.team_a,
+    teamB: row.team_b,
+    updatedAt: row.updated_at,
+  };
+}
+
+function scoreDetail(score) {
+  if (!score) return null;
+  return {
+    status: score.status || null,
+    period: score.period ?? null,
+    forfeitWinner: score.forfeitWinner || null,
+  };
+}
+
+// { [game_id]: score } for one edition
+export async function getScores(tournamentId) {
+  const { data, error } = await supabaseAdmin
+    .from("scores")
+    .select(SCORE_COLUMNS)
+    .eq("tournament_id", tournamentId);
+  if (error) return { scores: {}, error };
+
+  const scores = {};
+  for (const row of data || []) scores[row.game_id] = rowToScore(row);
+  return { scores, error: null };
+}
+
+// updated_at strings can differ in precision / offset format
+function sameInstant(x, y) {
+  if (!x || !y) return !x && !y;
+  return new Date(x).getTime() === new Date(y).getTime();
+}
+
+async function applyScore({
+  tournamentId,
+  gameId,
+  a,
+  b,
+  detail,
+  teams,
+  updatedAt,
+}) {
+  const clearing = !detail;
+  return clearing
+    ? supabaseAdmin
+        .from("scores")
+        .delete()
+        .eq("tournament_id", tournamentId)
+        .eq("game_id", gameId)
+    : supabaseAdmin.from("scores").upsert(
+        {
+          tournament_id: tournamentId,
+          game_id: gameId,
+          a,
+          b,
+          status: detail.status,
+          period: detail.period ?? null,
+          forfeit_winner: detail.forfeitWinner || null,
+          // Who the result was entered for, to spot it going stale later
+          team_a: teams?.teamA ?? null,
+          team_b: teams?.teamB ?? null,
+          updated_at: updatedAt,
+        },
+        { onConflict: "tournament_id,game_id" }
+      );
+}
+
+async function recordAudit({
+  tournamentId,
+  gameId,
+  user,
+  action,
+  before,
+  a,
+  b,
+  detail,
+}) {
+  return supabaseAdmin.from("score_audit").insert({
+    tournament_id: tournamentId,
+    game_id: gameId,
+    user_id: user.id,
+    user_email: user.email || null,
+    action,
+    old_a: before?.a ?? null,
+    old_b: before?.b ?? null,
+    new_a: a,
+    new_b: b,
+    old_detail: scoreDetail(before),
+    new_detail: detail || null,
+  });
+}
+
+// Saves (or clears, when a/b are null and no status is given) a score and
+// records the change in score_audit. Every score write should go through
+// here. `detail` is { status, period, forfeitWinner }; status defaults to
+// "final" when both scores are given.
+//
+// Writes the bracket doesn't allow (unknown game, locked day, teams not
+// decided, bad numbers, finalized tournament) come back as
+// `rejected: { status, error }` without touching the table.
+//
+// When the change moves who advanced and later games already have results,
+// nothing is written and `blocked` + `affected` come back, unless the caller
+// passes cascade: "clear" to wipe those later results (each one audited).
+//
+// `canScoreGame(game)` limits which games the caller may touch (scorekeepers
+// assigned to courts / games); anything else is rejected with a 403.
+//
+// `expectedUpdatedAt` (the row's updated_at the caller last saw, null for
+// "no score yet") turns on a conflict check, used when scores entered
+// offline are replayed: if the row changed since, nothing is written and
+// `conflict: { current }` comes back.
+export async function writeScore({
+  tournamentId,
+  gameId,
+  a,
+  b,
+  user,
+  detail,
+  action = "save",
+  cascade,
+  canScoreGame = () => true,
+  expectedUpdatedAt,
+}) {
+  const event = await loadTournament(tournamentId);
+  if (!event) {
+    return { rejected: { status: 404, error: "Tournament not found" } };
+  }
+  if (event.tournament.finalized_at) {
+    return {
+      rejected: { status: 409, error: "This tournament has been finalized" },
+    };
+  }
+
+  const { scores: current, error: readErr } = await getScores(tournamentId);
+  if (readErr) return { error: readErr };
+
+  if (
+    expectedUpdatedAt !== undefined &&
+    !sameInstant(current[gameId]?.updatedAt, expectedUpdatedAt)
+  ) {
+    return { conflict: { current: current[gameId] || null }, error: null };
+  }
+
+  const status = detail?.status || (a === null || b === null ? null : "final");
+  const clearing = !status;
+  // Games that haven't been played keep no score
+  const played = ["live", "final", "forfeit"].includes(status);
+  if (!played) {
+    a = null;
+    b = null;
+  }
+  const nextDetail = clearing
+    ? null
+    : {
+        status,
+        period: status === "live" ? detail?.period ?? null : null,
+        forfeitWinner:
+          status === "forfeit" ? detail?.forfeitWinner || null : null,
+      };
+
+  const games = gamesForEvent(event);
+  const invalid = bracket.scoreWriteError(
+    games,
+    { scores: current },
+    gameId,
+    a,
+    b,
+    nextDetail || {}
+  );
+  if (invalid) return { rejected: { status: 400, error: invalid } };
+  if (!canScoreGame(games.byId[gameId])) {
+    return {
+      rejected: { status: 403, error: "You're not assigned to this game" },
+    };
+  }
+
+  const before = current[gameId] || null;
+  const next = { ...current };
+  if (clearing) delete next[gameId];
+  else next[gameId] = { a, b, ...nextDetail };
+
+  const affected = bracket.findAffectedGames(games, current, next, gameId);
+  if (affected.length && cascade !== "clear") {
+    return { blocked: true, affected, error: null };
+  }
+  if (affected.some((id) => !canScoreGame(games.byId[id]))) {
+    return {
+      rejected: {
+        status: 403,
+        error: "Clearing those later results needs a director",
+      },
+    };
+  }
+
+  const teams = bracket.resolveTeamsForGame(
+    games.byId[gameId],
+    { scores: next },
+    games
+  );
+
+  const updatedAt = new Date().toISOString();
+  const { error } = await applyScore({
+    tournamentId,
+    gameId,
+    a,
+    b,
+    detail: nextDetail,
+    teams,
+    updatedAt,
+  });
+  if (error) return { error };
+
+  const { error: auditErr } = await recordAudit({
+    tournamentId,
+    gameId,
+    user,
+    action,
+    before,
+    a,
+    b,
+    detail: nextDetail,
+  });
+  if (auditErr) return { error: auditErr };
+
+  for (const id of affected) {
+    const { error: clearErr } = await applyScore({
+      tournamentId,
+      gameId: id,
+      a: null,
+      b: null,
+    });
+    if (clearErr) return { error: clearErr };
+
+    const { error: cascadeAuditErr } = await recordAudit({
+      tournamentId,
+      gameId: id,
+      user,
+      action: "cascade",
+      before: current[id],
+      a: null,
+      b: null,
+    });
+    if (cascadeAuditErr) return { error: cascadeAuditErr };
+  }
+
+  // Subscribers, captains and push followers hear about new results. The
+  // response doesn't wait for one mail/push per recipient; waitUntil keeps
+  // the function alive until they're sent
+  waitUntil(
+    notifyScoreWrite({
+      event,
+      games,
+      gameId,
+      before: current,
+      after: next,
+    })
+  );
+
+  // The new updated_at lets the client check later offline edits against it
+  return {
+    before,
+    affected,
+    updatedAt: clearing ? null : updatedAt,
+    error: null,
+  };
+}
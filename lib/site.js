@@ -0,0 +1,8 @@
+// Public origin for links the server hands out (emails, payment callbacks,
+// link previews). Never taken from request headers: a forged Origin or
+// Host would put someone else's URL in mail sent from our domain.
+const DEFAULT_ORIGIN = "https://adrenale5.vercel.app";
+
+export function siteOrigin() {
+  return (process.env.SITE_URL || DEFAULT_ORIGIN).replace(/\/$/, "");
+}
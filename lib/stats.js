@@ -0,0 +1,91 @@
+import { supabaseAdmin } from "./supabaseAdmin";
+
+// Supabase table `box_scores` (one row per player per game):
+//   id bigint pk, tournament_id uuid, game_id text, player_id uuid ->
+//   players.id, points int, rebounds int, assists int, fouls int,
+//   updated_at, unique (tournament_id, game_id, player_id)
+export const STAT_FIELDS = ["points", "rebounds", "assists", "fouls"];
+
+export const BOX_SCORE_COLUMNS =
+  "game_id,player_id,points,rebounds,assists,fouls,updated_at";
+
+export const PLAYER_COLUMNS =
+  "id,team_id,name,jersey,position,height,bio,photo_url";
+
+// Fouls are only shown in box scores, never ranked
+export const LEADER_STATS = ["points", "rebounds", "assists"];
+
+// Players of every team in an edition, with their team's name
+export async function getTournamentPlayers(tournamentId) {
+  const { data: teams, error: teamsErr } = await supabaseAdmin
+    .from("teams")
+    .select("id,name")
+    .eq("tournament_id", tournamentId);
+  if (teamsErr) return { players: [], error: teamsErr };
+  if (!teams?.length) return { players: [], error: null };
+
+  const { data, error } = await supabaseAdmin
+    .from("players")
+    .select(PLAYER_COLUMNS)
+    .in(
+      "team_id",
+      teams.map((t) => t.id)
+    )
+    .order("jersey", { ascending: true });
+  if (error) return { players: [], error };
+
+  const teamNames = Object.fromEntries(teams.map((t) => [t.id, t.name]));
+  const players = (data || []).map((p) => ({
+    ...p,
+    team_name: teamNames[p.team_id] || "",
+  }));
+  return { players, error: null };
+}
+
+// Box score lines for the given players across every game
+export async function getPlayerLines(playerIds) {
+  if (!playerIds.length) return { lines: [], error: null };
+
+  const { data, error } = await supabaseAdmin
+    .from("box_scores")
+    .select(`tournament_id,${BOX_SCORE_COLUMNS}`)
+    .in("player_id", playerIds);
+  return { lines: data || [], error };
+}
+
+// Totals and games played for every player with a box score line;
+// leaderboards() works out the per-game averages from these
+export function aggregateStats(lines, players) {
+  const byId = Object.fromEntries(players.map((p) => [p.id, p]));
+  const totals = {};
+
+  for (const line of lines) {
+    const player = byId[line.player_id];
+    if (!player) continue;
+    const t = (totals[line.player_id] = totals[line.player_id] || {
+      playerId: player.id,
+      name: player.name,
+      jersey: player.jersey,
+      team: player.team_name,
+      games: 0,
+      ...Object.fromEntries(STAT_FIELDS.map((f) => [f, 0])),
+    });
+    t.games++;
+    for (const f of STAT_FIELDS) t[f] += Number(line[f]) || 0;
+  }
+
+  return Object.values(totals);
+}
+
+// { points: [...], rebounds: [...], assists: [...] }, best first
+export function leaderboards(totals, limit = 5) {
+  const boards = {};
+  for (const stat of LEADER_STATS) {
+    boards[stat] = totals
+      .filter((t) => t[stat] > 0)
+      .map((t) => ({ ...t, avg: Math.round((t[stat] / t.games) * 10) / 10 }))
+      .sort((x, y) => y[stat] - x[stat] || y.avg - x.avg)
+      .slice(0, limit);
+  }
+  return boards;
+}
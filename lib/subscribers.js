@@ -0,0 +1,58 @@
+import crypto from "crypto";
+import { supabaseAdmin } from "./supabaseAdmin";
+import { getMailer } from "./mailer";
+import { siteOrigin } from "./site";
+
+// Supabase table `subscribers`:
+//   id uuid pk, email text unique (lower-cased),
+//   status text ('pending' | 'confirmed' | 'unsubscribed'),
+//   confirm_token text, unsubscribe_token text unique,
+//   notify_results bool default true (result emails, see lib/notify.js),
+//   teams text[] (team names to hear about; empty = every team),
+//   pending_preferences jsonb ({ notify_results, teams } asked for on the
+//   signup form; applied once the address is confirmed),
+//   created_at, confirmed_at, unsubscribed_at
+export const SUBSCRIBER_COLUMNS =
+  "id,email,status,confirm_token,unsubscribe_token,notify_results,teams,pending_preferences,created_at,confirmed_at,unsubscribed_at";
+
+// Basic shape check for addresses typed into forms
+export const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Result-email preferences from a request body; only the keys that were sent
+export function cleanPreferences(body) {
+  const prefs = {};
+  if (body?.notifyResults !== undefined)
+    prefs.notify_results = !!body.notifyResults;
+  if (body?.teams !== undefined) {
+    if (!Array.isArray(body.teams)) return { error: "Teams must be a list" };
+    prefs.teams = [
+      ...new Set(body.teams.map((t) => String(t || "").trim()).filter(Boolean)),
+    ].slice(0, 50);
+  }
+  return { prefs };
+}
+
+export function newToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+export async function sendConfirmation(subscriber) {
+  const link = `${siteOrigin()}/api/subscribe/confirm?token=${encodeURIComponent(
+    subscriber.confirm_token
+  )}`;
+
+  return getMailer().send({
+    to: subscriber.email,
+    subject: "Confirm your Adrenale 5 updates",
+    text: `Tap the link to start getting tournament updates:\n${link}\n\nIf you didn't ask for this, ignore this email.`,
+    html: `<p>Tap the link to start getting tournament updates:</p><p><a href="${link}">Confirm my subscription</a></p><p>If you didn't ask for this, ignore this email.</p>`,
+  });
+}
+
+export async function findSubscriber(column, value) {
+  return supabaseAdmin
+    .from("subscribers")
+    .select(SUBSCRIBER_COLUMNS)
+    .eq(column, value)
+    .maybeSingle();
+}
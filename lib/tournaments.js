@@ -0,0 +1,105 @@
+import bracket from "../bracket";
+import { supabaseAdmin } from "./supabaseAdmin";
+
+// ?tournament=... / body.tournamentId, falling back to the current edition.
+// Returns null when no edition has been set up yet.
+export async function resolveTournamentId(requested) {
+  if (requested) return String(requested);
+
+  const { data, error } = await supabaseAdmin
+    .from("tournaments")
+    .select("id")
+    .eq("is_current", true)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  return data?.id || null;
+}
+
+// { tournament, teams } for one edition, or null if it doesn't exist
+export async function loadTournament(tournamentId) {
+  const { data: tournament, error } = await supabaseAdmin
+    .from("tournaments")
+    .select("id,name,format,days,court_name,settings,finalized_at")
+    .eq("id", tournamentId)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!tournament) return null;
+
+  const { data: teams, error: teamsErr } = await supabaseAdmin
+    .from("teams")
+    .select("id,name,position")
+    .eq("tournament_id", tournamentId)
+    .order("position", { ascending: true });
+
+  if (teamsErr) throw new Error(teamsErr.message);
+
+  return { tournament, teams: teams || [] };
+}
+
+// Whether any game in the edition has a stored score. Team count and order
+// decide the generated games, so both are locked from then on.
+export async function hasResults(tournamentId) {
+  const { count, error } = await supabaseAdmin
+    .from("scores")
+    .select("game_id", { count: "exact", head: true })
+    .eq("tournament_id", tournamentId);
+  if (error) throw new Error(error.message);
+  return count > 0;
+}
+
+// Whether another team in the edition already has this name, in any letter
+// case (exceptId: the team being renamed)
+export async function teamNameTaken(tournamentId, name, exceptId = null) {
+  let query = supabaseAdmin
+    .from("teams")
+    .select("id")
+    .eq("tournament_id", tournamentId)
+    // Escape ilike wildcards
+    .ilike("name", String(name).replace(/[%_\\]/g, "\\$&"))
+    .limit(1);
+  if (exceptId) query = query.neq("id", exceptId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+  return data.length > 0;
+}
+
+// Rebuilds an edition's games exactly like schedule.js does, so the API can
+// reason about the bracket (dependencies, locks, who advanced).
+export function gamesForEvent(event) {
+  return bracket.gamesFromOptions(bracket.eventToOptions(event));
+}
+
+// Whether two versions of an edition give every game id the same matchup
+// (same sources), so stored scores keep meaning the same games. Times and
+// courts may move.
+export function sameMatchups(before, after) {
+  const matchups = (event) => {
+    const games = gamesForEvent(event);
+    return JSON.stringify(games.all.map((g) => [g.id, g.from]).sort());
+  };
+  return matchups(before) === matchups(after);
+}
+
+// Which edition a team / player belongs to, for role checks (null = none)
+export async function tournamentIdForTeam(teamId) {
+  const { data, error } = await supabaseAdmin
+    .from("teams")
+    .select("tournament_id")
+    .eq("id", teamId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data?.tournament_id || null;
+}
+
+export async function tournamentIdForPlayer(playerId) {
+  const { data, error } = await supabaseAdmin
+    .from("players")
+    .select("team_id")
+    .eq("id", playerId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data ? tournamentIdForTeam(data.team_id) : null;
+}
@@ -0,0 +1,89 @@
+// outbox.js
+// Score entries made without a connection, kept in IndexedDB until they
+// reach /api/scores. schedule.js queues and replays them; sw.js nudges open
+// pages when Background Sync sees the connection come back.
+//
+// One entry per game (key "tournamentId:gameId"): a newer score for the same
+// game replaces the queued one but keeps its `expectedUpdatedAt`, the
+// server's updated_at from before the first offline edit, so the replay can
+// tell whether someone else changed the game in the meantime.
+
+(function () {
+  const DB_NAME = "adrenale";
+  const STORE = "scoreOutbox";
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error("Offline saving isn't supported in this browser"));
+          return;
+        }
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore(STORE, { keyPath: "key" });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      // Let a later call try again (private mode, blocked upgrade)
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  // Runs fn(store) in one transaction; resolves with the last request's result
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function keyFor(tournamentId, gameId) {
+    return `${tournamentId || "legacy"}:${gameId}`;
+  }
+
+  // entry: { tournamentId, gameId, a, b, detail, expectedUpdatedAt }
+  async function add(entry) {
+    const key = keyFor(entry.tournamentId, entry.gameId);
+    const queued = await withStore("readonly", (store) => store.get(key));
+    const row = {
+      ...entry,
+      key,
+      expectedUpdatedAt: queued
+        ? queued.expectedUpdatedAt
+        : entry.expectedUpdatedAt ?? null,
+      // Replays keep the original order: later games depend on earlier ones
+      queuedAt: queued ? queued.queuedAt : new Date().toISOString(),
+    };
+    await withStore("readwrite", (store) => store.put(row));
+    return row;
+  }
+
+  // Oldest first, so replays happen in the order scores were entered
+  async function list(tournamentId) {
+    const rows = (await withStore("readonly", (store) => store.getAll())) || [];
+    return rows
+      .filter(
+        (r) => tournamentId === undefined || r.tournamentId === tournamentId
+      )
+      .sort((x, y) => x.queuedAt.localeCompare(y.queuedAt));
+  }
+
+  async function remove(tournamentId, gameId) {
+    await withStore("readwrite", (store) =>
+      store.delete(keyFor(tournamentId, gameId))
+    );
+  }
+
+  window.AdrenaleOutbox = { add, list, remove };
+})();
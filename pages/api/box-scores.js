@@ -0,0 +1,159 @@
+import bracket from "../../bracket";
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { can, requireRole } from "../../lib/auth";
+import {
+  gamesForEvent,
+  loadTournament,
+  resolveTournamentId,
+} from "../../lib/tournaments";
+import { getScores } from "../../lib/scores";
+import {
+  BOX_SCORE_COLUMNS,
+  STAT_FIELDS,
+  getTournamentPlayers,
+} from "../../lib/stats";
+
+// See lib/stats.js for the `box_scores` table
+const MAX_STAT = 200;
+
+export default async function handler(req, res) {
+  try {
+    // ---------- READ (public) ----------
+    if (req.method === "GET") {
+      const { gameId } = req.query || {};
+      if (!gameId) {
+        return res.status(400).json({ error: "Missing gameId" });
+      }
+
+      const tournamentId = await resolveTournamentId(req.query?.tournament);
+      if (!tournamentId) {
+        return res.status(400).json({ error: "No tournament selected" });
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("box_scores")
+        .select(BOX_SCORE_COLUMNS)
+        .eq("tournament_id", tournamentId)
+        .eq("game_id", gameId);
+
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ lines: data || [] });
+    }
+
+    // ---------- WRITE (scorekeepers and up) ----------
+    // Replaces the whole box score for one game
+    if (req.method === "POST") {
+      const { gameId, lines } = req.body || {};
+      if (!gameId) {
+        return res.status(400).json({ error: "Missing gameId" });
+      }
+      if (!Array.isArray(lines)) {
+        return res.status(400).json({ error: "Lines must be a list" });
+      }
+
+      const tournamentId = await resolveTournamentId(req.body?.tournamentId);
+      if (!tournamentId) {
+        return res.status(400).json({ error: "No tournament selected" });
+      }
+
+      const user = await requireRole(req, res, "scores:write", {
+        tournamentId,
+      });
+      if (!user) return;
+
+      const event = await loadTournament(tournamentId);
+      if (!event) {
+        return res.status(404).json({ error: "Tournament not found" });
+      }
+      if (event.tournament.finalized_at) {
+        return res
+          .status(409)
+          .json({ error: "This tournament has been finalized" });
+      }
+      const games = gamesForEvent(event);
+      const game = games.byId[gameId];
+      if (!game) {
+        return res.status(400).json({ error: "Unknown game" });
+      }
+      if (!can(user.roles, "scores:write", { tournamentId, game })) {
+        return res
+          .status(403)
+          .json({ error: "You're not assigned to this game" });
+      }
+
+      const { players, error: playersErr } = await getTournamentPlayers(
+        tournamentId
+      );
+      if (playersErr) {
+        return res.status(500).json({ error: playersErr.message });
+      }
+      const { scores, error: scoresErr } = await getScores(tournamentId);
+      if (scoresErr) {
+        return res.status(500).json({ error: scoresErr.message });
+      }
+      // Only the two teams playing this game
+      const { teamA, teamB } = bracket.resolveTeamsForGame(
+        game,
+        { scores },
+        games
+      );
+      const playerIds = new Set(
+        players
+          .filter((p) => p.team_name === teamA || p.team_name === teamB)
+          .map((p) => p.id)
+      );
+
+      const now = new Date().toISOString();
+      const rows = [];
+      for (const line of lines) {
+        if (!playerIds.has(line?.playerId)) {
+          return res
+            .status(400)
+            .json({ error: "Player is not on either team in this game" });
+        }
+        const row = {
+          tournament_id: tournamentId,
+          game_id: gameId,
+          player_id: line.playerId,
+          updated_at: now,
+        };
+        for (const f of STAT_FIELDS) {
+          const n = Number(line[f] ?? 0);
+          if (!Number.isInteger(n) || n < 0 || n > MAX_STAT) {
+            return res.status(400).json({
+              error: `${f} must be a whole number from 0 to ${MAX_STAT}`,
+            });
+          }
+          row[f] = n;
+        }
+        rows.push(row);
+      }
+
+      const { error: clearErr } = await supabaseAdmin
+        .from("box_scores")
+        .delete()
+        .eq("tournament_id", tournamentId)
+        .eq("game_id", gameId);
+      if (clearErr) {
+        return res.status(500).json({ error: clearErr.message });
+      }
+
+      if (rows.length) {
+        const { error } = await supabaseAdmin.from("box_scores").insert(rows);
+        if (error) {
+          return res.status(500).json({ error: error.message });
+        }
+      }
+
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,66 @@
+import {
+  loadTournament,
+  gamesForEvent,
+  resolveTournamentId,
+} from "../../lib/tournaments";
+import { getScores } from "../../lib/scores";
+import { buildCalendar } from "../../lib/calendar";
+
+export default async function handler(req, res) {
+  try {
+    // ---------- FEED (public) ----------
+    // ?tournament=...            whole event
+    // ?tournament=...&team=Name  one team, fills in as the bracket resolves
+    // ?tournament=...&game=D3F   one game ("Add to calendar")
+    if (req.method === "GET") {
+      const { team, game } = req.query || {};
+      const tournamentId = await resolveTournamentId(req.query?.tournament);
+      if (!tournamentId) {
+        return res.status(400).json({ error: "No tournament selected" });
+      }
+
+      const event = await loadTournament(tournamentId);
+      if (!event) {
+        return res.status(404).json({ error: "Tournament not found" });
+      }
+      if (!event.tournament.settings?.startDate) {
+        return res
+          .status(409)
+          .json({ error: "This tournament has no start date yet" });
+      }
+      if (team && !event.teams.some((t) => t.name === team)) {
+        return res.status(404).json({ error: "Team not found" });
+      }
+
+      const games = gamesForEvent(event);
+      if (game && !games.byId[game]) {
+        return res.status(404).json({ error: "Unknown game" });
+      }
+
+      const { scores, error } = await getScores(tournamentId);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      const ics = buildCalendar({
+        tournament: event.tournament,
+        games,
+        state: { scores },
+        team,
+        gameId: game,
+      });
+
+      const filename = game ? `adrenale5-${game}.ics` : "adrenale5.ics";
+      res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+      res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+      // Subscribed feeds are polled; a short cache keeps that cheap
+      res.setHeader("Cache-Control", "public, max-age=300");
+      return res.status(200).send(ics);
+    }
+
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
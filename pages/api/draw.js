@@ -0,0 +1,126 @@
+import bracket from "../../bracket";
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { requireRole } from "../../lib/auth";
+import { hasResults, resolveTournamentId } from "../../lib/tournaments";
+import { DRAW_MODES, makeDraw, saveRanking } from "../../lib/draw";
+
+async function loadEdition(tournamentId) {
+  const { data: tournament, error } = await supabaseAdmin
+    .from("tournaments")
+    .select("id,name,format,settings,finalized_at")
+    .eq("id", tournamentId)
+    .maybeSingle();
+  if (error || !tournament) return { tournament, error };
+
+  const { data: teams, error: teamsErr } = await supabaseAdmin
+    .from("teams")
+    .select("id,name,club,position")
+    .eq("tournament_id", tournamentId)
+    .order("position", { ascending: true });
+  return { tournament, teams: teams || [], error: teamsErr };
+}
+
+export default async function handler(req, res) {
+  try {
+    // ---------- READ (public) ----------
+    // The draw record plus round-one meetings, for the printable draw sheet
+    if (req.method === "GET") {
+      const tournamentId = await resolveTournamentId(req.query?.tournament);
+      if (!tournamentId) {
+        return res.status(400).json({ error: "No tournament selected" });
+      }
+
+      const { tournament, teams, error } = await loadEdition(tournamentId);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      if (!tournament) {
+        return res.status(404).json({ error: "Tournament not found" });
+      }
+
+      const seeded = tournament.settings?.seeding === "seeded";
+      const elimination = /elimination/.test(tournament.format || "");
+      return res.status(200).json({
+        tournament: {
+          id: tournament.id,
+          name: tournament.name,
+          format: tournament.format,
+        },
+        seeded,
+        draw: tournament.settings?.draw || null,
+        teams,
+        pairs:
+          seeded && elimination
+            ? bracket.roundOnePairs(teams.map((t) => t.name))
+            : [],
+      });
+    }
+
+    // ---------- MAKE THE DRAW (directors) ----------
+    if (req.method === "POST") {
+      const { tournamentId, mode } = req.body || {};
+      if (!tournamentId) {
+        return res.status(400).json({ error: "Missing tournamentId" });
+      }
+
+      const user = await requireRole(req, res, "teams:write", {
+        tournamentId,
+      });
+      if (!user) return;
+      if (!DRAW_MODES.includes(mode)) {
+        return res.status(400).json({ error: "Unknown draw mode" });
+      }
+
+      const { tournament, teams, error } = await loadEdition(tournamentId);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      if (!tournament) {
+        return res.status(404).json({ error: "Tournament not found" });
+      }
+      if (teams.length < 2) {
+        return res.status(400).json({ error: "A draw needs at least 2 teams" });
+      }
+
+      // Redrawing once games are played would move results between teams
+      if (tournament.finalized_at || (await hasResults(tournamentId))) {
+        return res
+          .status(409)
+          .json({ error: "The draw is locked once games have results" });
+      }
+
+      const result = await makeDraw(teams, req.body);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      const { error: rankErr } = await saveRanking(result.ranking);
+      if (rankErr) {
+        return res.status(500).json({ error: rankErr.message });
+      }
+
+      const draw = {
+        ...result.draw,
+        drawnAt: new Date().toISOString(),
+        drawnBy: user.email || null,
+      };
+      const { error: settingsErr } = await supabaseAdmin
+        .from("tournaments")
+        .update({
+          settings: { ...(tournament.settings || {}), seeding: "seeded", draw },
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", tournamentId);
+      if (settingsErr) {
+        return res.status(500).json({ error: settingsErr.message });
+      }
+
+      return res.status(200).json({ ok: true, draw });
+    }
+
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,67 @@
+import {
+  loadTournament,
+  gamesForEvent,
+  resolveTournamentId,
+} from "../../lib/tournaments";
+import { getScores } from "../../lib/scores";
+import {
+  EXPORT_FORMATS,
+  resultsCsv,
+  resultsJson,
+  resultsPdf,
+} from "../../lib/export";
+
+export default async function handler(req, res) {
+  try {
+    // ---------- DOWNLOAD (public) ----------
+    // ?tournament=...&format=csv|json|pdf (default json)
+    if (req.method === "GET") {
+      const format = String(req.query?.format || "json").toLowerCase();
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res
+          .status(400)
+          .json({ error: "Format must be csv, json or pdf" });
+      }
+
+      const tournamentId = await resolveTournamentId(req.query?.tournament);
+      if (!tournamentId) {
+        return res.status(400).json({ error: "No tournament selected" });
+      }
+
+      const event = await loadTournament(tournamentId);
+      if (!event) {
+        return res.status(404).json({ error: "Tournament not found" });
+      }
+
+      const { scores, error } = await getScores(tournamentId);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      const data = {
+        tournament: event.tournament,
+        games: gamesForEvent(event),
+        state: { scores },
+      };
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="adrenale5-results.${format}"`
+      );
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        return res.status(200).send(resultsCsv(data));
+      }
+      if (format === "pdf") {
+        res.setHeader("Content-Type", "application/pdf");
+        return res.status(200).send(await resultsPdf(data));
+      }
+      return res.status(200).json(resultsJson(data));
+    }
+
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
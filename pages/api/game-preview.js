@@ -0,0 +1,126 @@
+import bracket from "../../bracket";
+import {
+  gamesForEvent,
+  loadTournament,
+  resolveTournamentId,
+} from "../../lib/tournaments";
+import { getScores } from "../../lib/scores";
+import { siteOrigin } from "../../lib/site";
+
+// /game/:id (rewritten here in vercel.json). Link unfurlers don't run
+// JavaScript, so this returns a tiny page with Open Graph tags for the game
+// and sends people on to the schedule focused on it.
+
+// Title / description for one game as it stands right now
+export function gamePreview(event, games, state, gameId) {
+  const game = games.byId[gameId];
+  const { teamA, teamB } = bracket.resolveTeamsForGame(game, state, games);
+  const status = bracket.gameStatus(gameId, state);
+  const s = state.scores[gameId];
+  const round = game.label ? ` · ${game.label}` : "";
+  const where = `${game.day} ${game.hour} · ${game.court}`;
+  const name = event.tournament.name || "Adrenale 5";
+
+  if (status === "final") {
+    return {
+      title: `${teamA} ${s.a} – ${s.b} ${teamB}${round}`,
+      description: `Final · ${name} · ${where}`,
+    };
+  }
+  if (status === "forfeit") {
+    return {
+      title: `${bracket.getWinner(
+        gameId,
+        state,
+        games
+      )} win by forfeit${round}`,
+      description: `${teamA} vs ${teamB} · ${name} · ${where}`,
+    };
+  }
+  if (status === "live") {
+    return {
+      title: `LIVE: ${teamA} ${s.a ?? 0} – ${s.b ?? 0} ${teamB}${round}`,
+      description: `${name} · ${where}`,
+    };
+  }
+  return {
+    title: `${teamA} vs ${teamB}${round}`,
+    description: `${
+      status === "postponed"
+        ? "Postponed"
+        : status === "cancelled"
+        ? "Cancelled"
+        : "Tip-off"
+    } · ${name} · ${where}`,
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", ["GET"]);
+      return res.status(405).end("Method Not Allowed");
+    }
+
+    const origin = siteOrigin();
+    const gameId = String(req.query?.id || "");
+    const requested = req.query?.tournament;
+    const tournamentId = await resolveTournamentId(requested);
+
+    const target = new URL(`${origin}/schedule`);
+    if (gameId) target.searchParams.set("game", gameId);
+    if (requested) target.searchParams.set("tournament", requested);
+
+    let preview = {
+      title: "Schedule & Scores – Adrenale 5",
+      description:
+        "Live scores, bracket and game times for the Adrenale 5 Basketball Showcase.",
+    };
+    const event = tournamentId ? await loadTournament(tournamentId) : null;
+    const games = event ? gamesForEvent(event) : null;
+    if (games?.byId[gameId]) {
+      const { scores, error } = await getScores(tournamentId);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      preview = gamePreview(event, games, { scores }, gameId);
+    }
+
+    const canonical = `${origin}/game/${encodeURIComponent(gameId)}${
+      requested ? `?tournament=${encodeURIComponent(requested)}` : ""
+    }`;
+    const to = bracket.escapeHtml(target.toString());
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    // Scores change; previews are re-fetched after a minute
+    res.setHeader("Cache-Control", "public, max-age=60");
+    return res.status(200).send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${bracket.escapeHtml(preview.title)}</title>
+    <meta name="description" content="${bracket.escapeHtml(
+      preview.description
+    )}" />
+    <link rel="canonical" href="${bracket.escapeHtml(canonical)}" />
+    <meta property="og:type" content="website" />
+    <meta property="og:site_name" content="Adrenale 5" />
+    <meta property="og:title" content="${bracket.escapeHtml(preview.title)}" />
+    <meta property="og:description" content="${bracket.escapeHtml(
+      preview.description
+    )}" />
+    <meta property="og:url" content="${bracket.escapeHtml(canonical)}" />
+    <meta property="og:image" content="${bracket.escapeHtml(
+      `${origin}/assets/img/adrenale.png`
+    )}" />
+    <meta name="twitter:card" content="summary" />
+    <meta http-equiv="refresh" content="0; url=${to}" />
+  </head>
+  <body>
+    <p><a href="${to}">${bracket.escapeHtml(preview.title)}</a></p>
+  </body>
+</html>`);
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
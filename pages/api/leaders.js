@@ -0,0 +1,49 @@
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { resolveTournamentId } from "../../lib/tournaments";
+import {
+  aggregateStats,
+  getTournamentPlayers,
+  leaderboards,
+} from "../../lib/stats";
+
+export default async function handler(req, res) {
+  try {
+    // ---------- READ (public) ----------
+    // Top players per stat across an edition's box scores
+    if (req.method === "GET") {
+      const tournamentId = await resolveTournamentId(req.query?.tournament);
+      if (!tournamentId) {
+        return res.status(400).json({ error: "No tournament selected" });
+      }
+
+      const limit = Math.min(
+        Math.max(Math.floor(Number(req.query?.limit)) || 5, 1),
+        50
+      );
+
+      const { data: lines, error } = await supabaseAdmin
+        .from("box_scores")
+        .select("player_id,points,rebounds,assists,fouls")
+        .eq("tournament_id", tournamentId);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      const { players, error: playersErr } = await getTournamentPlayers(
+        tournamentId
+      );
+      if (playersErr) {
+        return res.status(500).json({ error: playersErr.message });
+      }
+
+      return res.status(200).json({
+        leaders: leaderboards(aggregateStats(lines || [], players), limit),
+      });
+    }
+
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
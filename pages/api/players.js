@@ -0,0 +1,210 @@
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { requireRole } from "../../lib/auth";
+import {
+  tournamentIdForPlayer,
+  tournamentIdForTeam,
+} from "../../lib/tournaments";
+import {
+  PLAYER_COLUMNS,
+  aggregateStats,
+  getPlayerLines,
+  getTournamentPlayers,
+} from "../../lib/stats";
+
+// Supabase table `players`:
+//   id uuid pk, team_id uuid -> teams.id, name text, jersey int,
+//   position text (PG, SG, SF, PF, C, ...), height text, bio text,
+//   photo_url text, created_at
+const MAX_BIO = 2000;
+
+// What the media role may edit on an existing player
+const PROFILE_FIELDS = ["height", "bio", "photo_url"];
+
+// One player with their team, season totals and per-game lines
+async function playerProfile(id) {
+  const { data: player, error } = await supabaseAdmin
+    .from("players")
+    .select(PLAYER_COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+  if (error || !player) return { profile: null, error };
+
+  const { data: team, error: teamErr } = await supabaseAdmin
+    .from("teams")
+    .select("id,name,tournament_id")
+    .eq("id", player.team_id)
+    .maybeSingle();
+  if (teamErr) return { profile: null, error: teamErr };
+
+  const { lines, error: linesErr } = await getPlayerLines([id]);
+  if (linesErr) return { profile: null, error: linesErr };
+
+  const withTeam = { ...player, team_name: team?.name || "" };
+  return {
+    profile: {
+      player: withTeam,
+      team,
+      totals: aggregateStats(lines, [withTeam])[0] || null,
+      games: lines,
+    },
+    error: null,
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    // ---------- READ (public) ----------
+    // ?id=... -> one profile, ?team=... -> one roster,
+    // ?tournament=... -> every roster in the edition
+    if (req.method === "GET") {
+      const { id, team, tournament } = req.query || {};
+      if (!id && !team && !tournament) {
+        return res.status(400).json({ error: "Missing team or tournament" });
+      }
+
+      if (id) {
+        const { profile, error } = await playerProfile(id);
+        if (error) {
+          return res.status(500).json({ error: error.message });
+        }
+        if (!profile) {
+          return res.status(404).json({ error: "Player not found" });
+        }
+        return res.status(200).json(profile);
+      }
+
+      if (tournament) {
+        const { players, error } = await getTournamentPlayers(tournament);
+        if (error) {
+          return res.status(500).json({ error: error.message });
+        }
+        return res.status(200).json({ players });
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("players")
+        .select(PLAYER_COLUMNS)
+        .eq("team_id", team)
+        .order("jersey", { ascending: true });
+
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ players: data || [] });
+    }
+
+    // ---------- CREATE / UPDATE (directors; media for profiles) ----------
+    if (req.method === "POST") {
+      const { id, teamId, name, jersey, position, height, bio, photoUrl } =
+        req.body || {};
+      if (!id && !teamId) {
+        return res.status(400).json({ error: "Missing teamId" });
+      }
+      if ((!id || name !== undefined) && !String(name || "").trim()) {
+        return res.status(400).json({ error: "Missing name" });
+      }
+      if (
+        jersey !== undefined &&
+        jersey !== null &&
+        jersey !== "" &&
+        !(Number.isInteger(Number(jersey)) && Number(jersey) >= 0)
+      ) {
+        return res.status(400).json({ error: "Jersey must be a number" });
+      }
+      if (bio !== undefined && String(bio || "").length > MAX_BIO) {
+        return res
+          .status(400)
+          .json({ error: `Bio must be under ${MAX_BIO} characters` });
+      }
+      if (photoUrl && !/^https:\/\//i.test(String(photoUrl))) {
+        return res.status(400).json({ error: "Photo must be an https URL" });
+      }
+
+      const row = {};
+      if (teamId !== undefined) row.team_id = teamId;
+      if (name !== undefined) row.name = String(name).trim();
+      if (jersey !== undefined)
+        row.jersey = jersey === null || jersey === "" ? null : Number(jersey);
+      if (position !== undefined)
+        row.position = String(position || "").trim() || null;
+      if (height !== undefined)
+        row.height = String(height || "").trim() || null;
+      if (bio !== undefined) row.bio = String(bio || "").trim() || null;
+      if (photoUrl !== undefined)
+        row.photo_url = String(photoUrl || "").trim() || null;
+      if (id && !Object.keys(row).length) {
+        return res.status(400).json({ error: "Nothing to update" });
+      }
+
+      // Moving a player needs rights in both the old and the new edition
+      const tournamentIds = [];
+      if (id) {
+        const current = await tournamentIdForPlayer(id);
+        if (!current) {
+          return res.status(404).json({ error: "Player not found" });
+        }
+        tournamentIds.push(current);
+      }
+      if (teamId !== undefined) {
+        const target = await tournamentIdForTeam(teamId);
+        if (!target) {
+          return res.status(404).json({ error: "Team not found" });
+        }
+        if (!tournamentIds.includes(target)) tournamentIds.push(target);
+      }
+
+      const permission =
+        id && Object.keys(row).every((k) => PROFILE_FIELDS.includes(k))
+          ? "players:profile"
+          : "players:write";
+      for (const tournamentId of tournamentIds) {
+        const user = await requireRole(req, res, permission, { tournamentId });
+        if (!user) return;
+      }
+
+      const query = id
+        ? supabaseAdmin.from("players").update(row).eq("id", id)
+        : supabaseAdmin.from("players").insert(row);
+
+      const { data, error } = await query.select(PLAYER_COLUMNS).single();
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ ok: true, player: data });
+    }
+
+    // ---------- DELETE (directors) ----------
+    if (req.method === "DELETE") {
+      const { id } = req.query || {};
+      if (!id) {
+        return res.status(400).json({ error: "Missing id" });
+      }
+
+      const tournamentId = await tournamentIdForPlayer(id);
+      if (!tournamentId) {
+        return res.status(404).json({ error: "Player not found" });
+      }
+      const user = await requireRole(req, res, "players:write", {
+        tournamentId,
+      });
+      if (!user) return;
+
+      const { error } = await supabaseAdmin
+        .from("players")
+        .delete()
+        .eq("id", id);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "DELETE"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
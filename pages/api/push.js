@@ -0,0 +1,85 @@
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { PUSH_COLUMNS, vapidPublicKey } from "../../lib/push";
+
+export default async function handler(req, res) {
+  try {
+    // ---------- READ (public) ----------
+    // The key browsers need for pushManager.subscribe()
+    if (req.method === "GET") {
+      return res.status(200).json({ publicKey: vapidPublicKey() });
+    }
+
+    // ---------- FOLLOW A TEAM (public) ----------
+    if (req.method === "POST") {
+      const { subscription, teamId } = req.body || {};
+      const endpoint = subscription?.endpoint;
+      const keys = subscription?.keys;
+      if (
+        typeof endpoint !== "string" ||
+        !endpoint.startsWith("https://") ||
+        !keys?.p256dh ||
+        !keys?.auth
+      ) {
+        return res.status(400).json({ error: "Invalid subscription" });
+      }
+      if (!teamId) {
+        return res.status(400).json({ error: "Missing teamId" });
+      }
+
+      const { data: team, error: teamErr } = await supabaseAdmin
+        .from("teams")
+        .select("id")
+        .eq("id", teamId)
+        .maybeSingle();
+      if (teamErr) {
+        return res.status(500).json({ error: teamErr.message });
+      }
+      if (!team) {
+        return res.status(404).json({ error: "Team not found" });
+      }
+
+      // One browser follows one team; following another replaces it
+      const { data, error } = await supabaseAdmin
+        .from("push_subscriptions")
+        .upsert(
+          {
+            endpoint,
+            keys: { p256dh: keys.p256dh, auth: keys.auth },
+            team_id: team.id,
+          },
+          { onConflict: "endpoint" }
+        )
+        .select(PUSH_COLUMNS)
+        .single();
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ ok: true, teamId: data.team_id });
+    }
+
+    // ---------- UNFOLLOW (public) ----------
+    // The endpoint is unguessable, so knowing it is proof enough
+    if (req.method === "DELETE") {
+      const endpoint = req.query?.endpoint || req.body?.endpoint;
+      if (!endpoint) {
+        return res.status(400).json({ error: "Missing endpoint" });
+      }
+
+      const { error } = await supabaseAdmin
+        .from("push_subscriptions")
+        .delete()
+        .eq("endpoint", endpoint);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "DELETE"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,301 @@
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { requireRole } from "../../lib/auth";
+import { resolveTournamentId } from "../../lib/tournaments";
+import { getPaymentProvider, registrationFee } from "../../lib/payments";
+import { siteOrigin } from "../../lib/site";
+import { EMAIL_RE, newToken } from "../../lib/subscribers";
+import {
+  REGISTRATION_COLUMNS,
+  approveRegistration,
+  refreshPaymentStatus,
+} from "../../lib/registrations";
+
+// Table layout is documented in lib/registrations.js
+const MAX_ROSTER = 15;
+const STATUSES = ["pending", "approved", "rejected"];
+
+// Returns an error message, or the cleaned-up roster
+function cleanRoster(roster) {
+  if (roster === undefined) return { roster: [] };
+  if (!Array.isArray(roster)) return { error: "Roster must be a list" };
+  if (roster.length > MAX_ROSTER)
+    return { error: `At most ${MAX_ROSTER} players` };
+
+  const cleaned = [];
+  for (const p of roster) {
+    const name = String(p?.name || "").trim();
+    if (!name) return { error: "Every player needs a name" };
+    const jersey =
+      p.jersey === undefined || p.jersey === null || p.jersey === ""
+        ? null
+        : Number(p.jersey);
+    if (jersey !== null && !(Number.isInteger(jersey) && jersey >= 0)) {
+      return { error: "Jersey must be a number" };
+    }
+    cleaned.push({
+      name,
+      jersey,
+      position: String(p.position || "").trim() || null,
+    });
+  }
+  return { roster: cleaned };
+}
+
+export default async function handler(req, res) {
+  try {
+    // ---------- READ (directors) ----------
+    // The approval queue: ?tournament=...&status=pending
+    if (req.method === "GET") {
+      const tournamentId = await resolveTournamentId(req.query?.tournament);
+      if (!tournamentId) {
+        return res.status(400).json({ error: "No tournament selected" });
+      }
+
+      const user = await requireRole(req, res, "registrations:manage", {
+        tournamentId,
+      });
+      if (!user) return;
+
+      const { status } = req.query || {};
+      if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ error: "Unknown status" });
+      }
+
+      let query = supabaseAdmin
+        .from("registrations")
+        .select(REGISTRATION_COLUMNS)
+        .eq("tournament_id", tournamentId)
+        .order("created_at", { ascending: true });
+      if (status) query = query.eq("status", status);
+
+      const { data, error } = await query;
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ registrations: data || [] });
+    }
+
+    if (req.method === "POST") {
+      const { id, action } = req.body || {};
+
+      // ---------- REVIEW (directors) ----------
+      // { id, action: "approve" | "reject" | "mark-paid" | "verify-payment" }
+      if (id) {
+        const { data: registration, error: readErr } = await supabaseAdmin
+          .from("registrations")
+          .select(REGISTRATION_COLUMNS)
+          .eq("id", id)
+          .maybeSingle();
+        if (readErr) {
+          return res.status(500).json({ error: readErr.message });
+        }
+        if (!registration) {
+          return res.status(404).json({ error: "Registration not found" });
+        }
+
+        const user = await requireRole(req, res, "registrations:manage", {
+          tournamentId: registration.tournament_id,
+        });
+        if (!user) return;
+
+        if (action === "approve") {
+          if (registration.status === "approved") {
+            return res.status(409).json({ error: "Already approved" });
+          }
+          const result = await approveRegistration(registration);
+          if (result.locked) {
+            return res.status(409).json({
+              error: "Teams are locked once games have results",
+            });
+          }
+          if (result.duplicate) {
+            return res.status(409).json({
+              error: "A team with that name is already in this edition",
+            });
+          }
+          if (result.error) {
+            return res.status(500).json({ error: result.error.message });
+          }
+          return res.status(200).json({
+            ok: true,
+            registration: result.registration,
+            team: result.team,
+          });
+        }
+
+        if (action === "verify-payment") {
+          const result = await refreshPaymentStatus(registration);
+          if (result.error) {
+            return res.status(500).json({ error: result.error.message });
+          }
+          return res
+            .status(200)
+            .json({ ok: true, registration: result.registration });
+        }
+
+        let update;
+        if (action === "reject") {
+          // Approved teams are already in the bracket; remove them there
+          if (registration.status === "approved") {
+            return res
+              .status(409)
+              .json({ error: "Approved teams must be removed from Teams" });
+          }
+          update = { status: "rejected" };
+        } else if (action === "mark-paid") {
+          // Cash / bank transfer recorded by hand
+          update = { payment_status: "paid" };
+        } else {
+          return res.status(400).json({ error: "Unknown action" });
+        }
+
+        const { data, error } = await supabaseAdmin
+          .from("registrations")
+          .update({ ...update, updated_at: new Date().toISOString() })
+          .eq("id", id)
+          .select(REGISTRATION_COLUMNS)
+          .single();
+        if (error) {
+          return res.status(500).json({ error: error.message });
+        }
+
+        return res.status(200).json({ ok: true, registration: data });
+      }
+
+      // ---------- SUBMIT (public) ----------
+      const {
+        teamName,
+        captainName,
+        captainEmail,
+        captainPhone,
+        notifyResults,
+      } = req.body || {};
+
+      const name = String(teamName || "").trim();
+      if (!name || name.length > 80) {
+        return res.status(400).json({ error: "Enter a team name" });
+      }
+      if (!String(captainName || "").trim()) {
+        return res.status(400).json({ error: "Enter the captain's name" });
+      }
+      const email = String(captainEmail || "")
+        .trim()
+        .toLowerCase();
+      if (!EMAIL_RE.test(email)) {
+        return res.status(400).json({ error: "Enter a valid email" });
+      }
+      const { roster, error: rosterErr } = cleanRoster(req.body?.roster);
+      if (rosterErr) {
+        return res.status(400).json({ error: rosterErr });
+      }
+
+      const tournamentId = await resolveTournamentId(req.body?.tournamentId);
+      if (!tournamentId) {
+        return res.status(400).json({ error: "No tournament selected" });
+      }
+
+      const { data: tournament, error: tErr } = await supabaseAdmin
+        .from("tournaments")
+        .select("id,settings,finalized_at")
+        .eq("id", tournamentId)
+        .maybeSingle();
+      if (tErr) {
+        return res.status(500).json({ error: tErr.message });
+      }
+      if (
+        !tournament ||
+        tournament.finalized_at ||
+        tournament.settings?.registrationOpen === false
+      ) {
+        return res.status(403).json({ error: "Registration is closed" });
+      }
+
+      const { data: taken, error: takenErr } = await supabaseAdmin
+        .from("registrations")
+        .select("id")
+        .eq("tournament_id", tournamentId)
+        // Same name in any letter case; escape ilike wildcards
+        .ilike("team_name", name.replace(/[%_\\]/g, "\\$&"))
+        .neq("status", "rejected")
+        .limit(1);
+      if (takenErr) {
+        return res.status(500).json({ error: takenErr.message });
+      }
+      if (taken?.length) {
+        return res
+          .status(409)
+          .json({ error: "A team with that name is already registered" });
+      }
+
+      const provider = getPaymentProvider();
+      const amount = registrationFee(tournament);
+
+      const { data: registration, error: insertErr } = await supabaseAdmin
+        .from("registrations")
+        .insert({
+          tournament_id: tournamentId,
+          team_name: name,
+          captain_name: String(captainName).trim(),
+          captain_email: email,
+          captain_phone: String(captainPhone || "").trim() || null,
+          roster,
+          notify_results: notifyResults !== false,
+          notify_token: newToken(),
+          status: "pending",
+          payment_status: "unpaid",
+          payment_provider: provider.name,
+          amount,
+        })
+        .select(REGISTRATION_COLUMNS)
+        .single();
+      if (insertErr) {
+        return res.status(500).json({ error: insertErr.message });
+      }
+
+      const reference = `A5-${registration.id}`;
+      let checkout;
+      try {
+        checkout = await provider.createCheckout({
+          reference,
+          amount,
+          email,
+          callbackUrl: `${siteOrigin()}/register.html?reference=${encodeURIComponent(
+            reference
+          )}`,
+        });
+      } catch (err) {
+        // Otherwise the team name stays taken and every retry gets a 409
+        await supabaseAdmin
+          .from("registrations")
+          .delete()
+          .eq("id", registration.id);
+        return res
+          .status(502)
+          .json({ error: "Could not start the payment. Please try again." });
+      }
+
+      const { error: refErr } = await supabaseAdmin
+        .from("registrations")
+        .update({
+          payment_reference: reference,
+          payment_status: checkout.status || "pending",
+        })
+        .eq("id", registration.id);
+      if (refErr) {
+        return res.status(500).json({ error: refErr.message });
+      }
+
+      return res.status(200).json({
+        ok: true,
+        registrationId: registration.id,
+        payment: { reference, url: checkout.url, amount },
+      });
+    }
+
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,47 @@
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import {
+  REGISTRATION_COLUMNS,
+  refreshPaymentStatus,
+} from "../../../lib/registrations";
+
+export default async function handler(req, res) {
+  try {
+    // ---------- VERIFY (public) ----------
+    // The payment page sends captains back with ?reference=...
+    if (req.method === "GET") {
+      const { reference } = req.query || {};
+      if (!reference) {
+        return res.status(400).json({ error: "Missing reference" });
+      }
+
+      const { data: registration, error } = await supabaseAdmin
+        .from("registrations")
+        .select(REGISTRATION_COLUMNS)
+        .eq("payment_reference", reference)
+        .maybeSingle();
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      if (!registration) {
+        return res.status(404).json({ error: "Registration not found" });
+      }
+
+      const result = await refreshPaymentStatus(registration);
+      if (result.error) {
+        return res.status(500).json({ error: result.error.message });
+      }
+
+      // Only what the captain needs to see
+      return res.status(200).json({
+        teamName: result.registration.team_name,
+        status: result.registration.status,
+        paymentStatus: result.registration.payment_status,
+      });
+    }
+
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
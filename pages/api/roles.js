@@ -0,0 +1,154 @@
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import {
+  ROLES,
+  ROLE_COLUMNS,
+  getRoles,
+  getUserFromRequest,
+  requireRole,
+} from "../../lib/auth";
+import { EMAIL_RE } from "../../lib/subscribers";
+
+// Supabase has no lookup by email in the admin API, so page through users.
+// Fine for an organiser team; stops after 2,000 accounts.
+async function findUserByEmail(email) {
+  for (let page = 1; page <= 10; page++) {
+    const { data, error } = await supabaseAdmin.auth.admin.listUsers({
+      page,
+      perPage: 200,
+    });
+    if (error) throw new Error(error.message);
+    const users = data?.users || [];
+    const match = users.find((u) => (u.email || "").toLowerCase() === email);
+    if (match) return match;
+    if (users.length < 200) return null;
+  }
+  return null;
+}
+
+function cleanList(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) return null;
+  return [...new Set(value.map((v) => String(v || "").trim()))].filter(Boolean);
+}
+
+export default async function handler(req, res) {
+  try {
+    // ---------- READ ----------
+    // ?me=1 -> the signed-in user's own roles (any account), so the admin
+    // pages know what to show; otherwise every grant (super admins)
+    if (req.method === "GET") {
+      if (req.query?.me) {
+        const user = await getUserFromRequest(req);
+        if (!user) {
+          return res.status(401).json({ error: "Invalid token" });
+        }
+        return res.status(200).json({
+          user: { id: user.id, email: user.email || null },
+          roles: await getRoles(user),
+        });
+      }
+
+      const user = await requireRole(req, res, "roles:manage");
+      if (!user) return;
+
+      const { data, error } = await supabaseAdmin
+        .from("user_roles")
+        .select(ROLE_COLUMNS)
+        .order("created_at", { ascending: true });
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ roles: data || [] });
+    }
+
+    // ---------- GRANT (super admins) ----------
+    // { email, role, tournamentId?, courts?, gameIds? }
+    if (req.method === "POST") {
+      const user = await requireRole(req, res, "roles:manage");
+      if (!user) return;
+
+      const { role, tournamentId } = req.body || {};
+      const email = String(req.body?.email || "")
+        .trim()
+        .toLowerCase();
+      if (!EMAIL_RE.test(email)) {
+        return res.status(400).json({ error: "Enter a valid email" });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: "Unknown role" });
+      }
+
+      const courts = cleanList(req.body?.courts);
+      const gameIds = cleanList(req.body?.gameIds);
+      if (!courts || !gameIds) {
+        return res
+          .status(400)
+          .json({ error: "Courts and games must be lists" });
+      }
+      if (role !== "scorekeeper" && (courts.length || gameIds.length)) {
+        return res.status(400).json({
+          error: "Only scorekeepers can be limited to courts or games",
+        });
+      }
+      if (role === "super_admin" && tournamentId) {
+        return res
+          .status(400)
+          .json({ error: "Super admins cover every tournament" });
+      }
+
+      // They need an account first (they sign in on the admin page)
+      const target = await findUserByEmail(email);
+      if (!target) {
+        return res
+          .status(404)
+          .json({ error: "No account with that email has signed up yet" });
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("user_roles")
+        .insert({
+          user_id: target.id,
+          email,
+          role,
+          tournament_id: tournamentId || null,
+          courts,
+          game_ids: gameIds,
+          granted_by: user.email || user.id,
+        })
+        .select(ROLE_COLUMNS)
+        .single();
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ ok: true, role: data });
+    }
+
+    // ---------- REVOKE (super admins) ----------
+    if (req.method === "DELETE") {
+      const user = await requireRole(req, res, "roles:manage");
+      if (!user) return;
+
+      const { id } = req.query || {};
+      if (!id) {
+        return res.status(400).json({ error: "Missing id" });
+      }
+
+      const { error } = await supabaseAdmin
+        .from("user_roles")
+        .delete()
+        .eq("id", id);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "DELETE"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
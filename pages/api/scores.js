@@ -1,40 +1,33 @@
-import { createClient } from "@supabase/supabase-js";
-
-const supabaseAdmin = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
-
-const ALLOWLIST = (process.env.SCORE_ADMIN_USER_IDS || "")
-  .split(",")
-  .map((id) => id.trim())
-  .filter(Boolean);
-
-function getBearerToken(req) {
-  const auth = req.headers.authorization || "";
-  if (!auth.startsWith("Bearer ")) return "";
-  return auth.slice("Bearer ".length).trim();
-}
-
-async function canEditFromRequest(req) {
-  const token = getBearerToken(req);
-  if (!token) return false;
-
-  const { data: userData, error: userErr } = await supabaseAdmin.auth.getUser(
-    token
-  );
-  if (userErr || !userData?.user) return false;
-
-  return ALLOWLIST.includes(userData.user.id);
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { can, requireRole, scoreAccessFromRequest } from "../../lib/auth";
+import { resolveTournamentId } from "../../lib/tournaments";
+import { SCORE_COLUMNS, rowToScore, writeScore } from "../../lib/scores";
+
+// Supabase table `scores`:
+//   tournament_id uuid -> tournaments.id, game_id text, a int, b int,
+//   status text (scheduled | live | final | forfeit | postponed | cancelled),
+//   period int (while live), forfeit_winner text ('a' | 'b'),
+//   team_a text, team_b text (teams the result was entered for),
+//   updated_at, unique (tournament_id, game_id)
+
+// "" / null -> null, anything else -> Number (validated in writeScore)
+function toNumberOrNull(v) {
+  return v === null || v === undefined || v === "" ? null : Number(v);
 }
 
 export default async function handler(req, res) {
   try {
     // ---------- READ (public) ----------
     if (req.method === "GET") {
-      const { data, error } = await supabaseAdmin
-        .from("scores")
-        .select("game_id,a,b");
+      const tournamentId = await resolveTournamentId(req.query?.tournament);
+
+      // Rows from before editions existed have no tournament_id
+      let query = supabaseAdmin.from("scores").select(SCORE_COLUMNS);
+      query = tournamentId
+        ? query.eq("tournament_id", tournamentId)
+        : query.is("tournament_id", null);
+
+      const { data, error } = await query;
 
       if (error) {
         return res.status(500).json({ error: error.message });
@@ -42,67 +35,153 @@ export default async function handler(req, res) {
 
       const map = {};
       for (const row of data || []) {
-        map[row.game_id] = { a: row.a, b: row.b };
+        map[row.game_id] = rowToScore(row);
       }
 
-      // ✅ FIX: return canEdit too (your frontend expects it)
-      const canEdit = await canEditFromRequest(req);
+      // canEdit plus the courts / games a scorekeeper is limited to
+      const { canEdit, courts, gameIds } = await scoreAccessFromRequest(
+        req,
+        tournamentId
+      );
 
-      return res.status(200).json({ scores: map, canEdit });
+      return res.status(200).json({
+        scores: map,
+        canEdit,
+        editScope: { courts, gameIds },
+        tournamentId,
+      });
     }
 
-    // ---------- WRITE (admin only) ----------
+    // ---------- WRITE (scorekeepers and up) ----------
     if (req.method === "POST") {
-      const auth = req.headers.authorization || "";
-      if (!auth.startsWith("Bearer ")) {
-        return res.status(401).json({ error: "Missing token" });
+      const {
+        gameId,
+        a,
+        b,
+        status,
+        period,
+        forfeitWinner,
+        cascade,
+        expectedUpdatedAt,
+      } = req.body || {};
+      if (!gameId) {
+        return res.status(400).json({ error: "Missing gameId" });
       }
 
-      const token = auth.replace("Bearer ", "").trim();
-      const { data: userData, error: userErr } =
-        await supabaseAdmin.auth.getUser(token);
+      const tournamentId = await resolveTournamentId(req.body?.tournamentId);
+      if (!tournamentId) {
+        return res.status(400).json({ error: "No tournament selected" });
+      }
 
-      if (userErr || !userData?.user) {
-        return res.status(401).json({ error: "Invalid token" });
+      const user = await requireRole(req, res, "scores:write", {
+        tournamentId,
+      });
+      if (!user) return;
+
+      // Without a status this is a plain final score, so both are needed
+      if (
+        !status &&
+        (toNumberOrNull(a) === null || toNumberOrNull(b) === null)
+      ) {
+        return res.status(400).json({ error: "Missing score" });
       }
 
-      const userId = userData.user.id;
-      if (!ALLOWLIST.includes(userId)) {
-        return res.status(403).json({ error: "Not allowed" });
+      const result = await writeScore({
+        tournamentId,
+        gameId,
+        // Range, ties and bracket rules are checked in writeScore
+        a: toNumberOrNull(a),
+        b: toNumberOrNull(b),
+        detail: {
+          status: status || undefined,
+          period: toNumberOrNull(period),
+          forfeitWinner,
+        },
+        user,
+        cascade,
+        canScoreGame: (game) =>
+          can(user.roles, "scores:write", { tournamentId, game }),
+        // Only sent by offline replays (null = "there was no score")
+        expectedUpdatedAt,
+      });
+
+      if (result.error) {
+        return res.status(500).json({ error: result.error.message });
+      }
+      if (result.rejected) {
+        return res
+          .status(result.rejected.status)
+          .json({ error: result.rejected.error });
       }
+      if (result.conflict) {
+        return res.status(409).json({
+          error: "This score was changed by someone else",
+          conflict: true,
+          current: result.conflict.current,
+        });
+      }
+      if (result.blocked) {
+        return res.status(409).json({
+          error: "Later games already have results that depend on this one",
+          affected: result.affected,
+        });
+      }
+
+      return res.status(200).json({
+        ok: true,
+        cleared: result.affected,
+        updatedAt: result.updatedAt,
+      });
+    }
 
-      const { gameId, a, b } = req.body || {};
+    // ---------- CLEAR (scorekeepers and up) ----------
+    if (req.method === "DELETE") {
+      const { gameId, cascade } = req.query || {};
       if (!gameId) {
         return res.status(400).json({ error: "Missing gameId" });
       }
 
-      const aNum = Number(a);
-      const bNum = Number(b);
-      if (!Number.isFinite(aNum) || !Number.isFinite(bNum)) {
-        return res.status(400).json({ error: "Scores must be numbers" });
-      }
-      if (aNum === bNum) {
-        return res.status(400).json({ error: "No ties allowed" });
+      const tournamentId = await resolveTournamentId(req.query?.tournament);
+      if (!tournamentId) {
+        return res.status(400).json({ error: "No tournament selected" });
       }
 
-      const { error } = await supabaseAdmin.from("scores").upsert(
-        {
-          game_id: gameId,
-          a: aNum,
-          b: bNum,
-          updated_at: new Date().toISOString(),
-        },
-        { onConflict: "game_id" }
-      );
-
-      if (error) {
-        return res.status(500).json({ error: error.message });
+      const user = await requireRole(req, res, "scores:write", {
+        tournamentId,
+      });
+      if (!user) return;
+
+      const result = await writeScore({
+        tournamentId,
+        gameId,
+        a: null,
+        b: null,
+        user,
+        action: "delete",
+        cascade,
+        canScoreGame: (game) =>
+          can(user.roles, "scores:write", { tournamentId, game }),
+      });
+
+      if (result.error) {
+        return res.status(500).json({ error: result.error.message });
+      }
+      if (result.rejected) {
+        return res
+          .status(result.rejected.status)
+          .json({ error: result.rejected.error });
+      }
+      if (result.blocked) {
+        return res.status(409).json({
+          error: "Later games already have results that depend on this one",
+          affected: result.affected,
+        });
       }
 
-      return res.status(200).json({ ok: true });
+      return res.status(200).json({ ok: true, cleared: result.affected });
     }
 
-    res.setHeader("Allow", ["GET", "POST"]);
+    res.setHeader("Allow", ["GET", "POST", "DELETE"]);
     return res.status(405).end("Method Not Allowed");
   } catch (err) {
     return res.status(500).json({ error: "Server error" });
@@ -0,0 +1,137 @@
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { can, getBearerToken, requireRole } from "../../../lib/auth";
+import {
+  gamesForEvent,
+  loadTournament,
+  resolveTournamentId,
+} from "../../../lib/tournaments";
+import { writeScore } from "../../../lib/scores";
+
+const AUDIT_COLUMNS =
+  "id,game_id,user_id,user_email,action,old_a,old_b,new_a,new_b,old_detail,new_detail,created_at";
+
+export default async function handler(req, res) {
+  try {
+    // History is for scorekeepers and up: it exposes who edited what
+    if (!getBearerToken(req)) {
+      return res.status(401).json({ error: "Missing token" });
+    }
+
+    // ---------- READ ----------
+    if (req.method === "GET") {
+      const { gameId } = req.query || {};
+      if (!gameId) {
+        return res.status(400).json({ error: "Missing gameId" });
+      }
+
+      const tournamentId = await resolveTournamentId(req.query?.tournament);
+      if (!tournamentId) {
+        return res.status(400).json({ error: "No tournament selected" });
+      }
+
+      const user = await requireRole(req, res, "scores:write", {
+        tournamentId,
+      });
+      if (!user) return;
+
+      // Same court / game limits as writing the score
+      const event = await loadTournament(tournamentId);
+      if (!event) {
+        return res.status(404).json({ error: "Tournament not found" });
+      }
+      const game = gamesForEvent(event).byId[gameId];
+      if (!game) {
+        return res.status(404).json({ error: "Unknown game" });
+      }
+      if (!can(user.roles, "scores:write", { tournamentId, game })) {
+        return res
+          .status(403)
+          .json({ error: "You're not assigned to this game" });
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("score_audit")
+        .select(AUDIT_COLUMNS)
+        .eq("tournament_id", tournamentId)
+        .eq("game_id", gameId)
+        .order("created_at", { ascending: false })
+        .limit(50);
+
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ history: data || [] });
+    }
+
+    // ---------- UNDO ----------
+    // Puts the score back to what it was before the given audit entry
+    if (req.method === "POST") {
+      const { auditId, cascade } = req.body || {};
+      if (!auditId) {
+        return res.status(400).json({ error: "Missing auditId" });
+      }
+
+      const { data: entry, error: entryErr } = await supabaseAdmin
+        .from("score_audit")
+        .select("id,tournament_id,game_id,old_a,old_b,old_detail")
+        .eq("id", auditId)
+        .maybeSingle();
+
+      if (entryErr) {
+        return res.status(500).json({ error: entryErr.message });
+      }
+      if (!entry) {
+        return res.status(404).json({ error: "History entry not found" });
+      }
+
+      const tournamentId = entry.tournament_id;
+      const user = await requireRole(req, res, "scores:write", {
+        tournamentId,
+      });
+      if (!user) return;
+
+      const result = await writeScore({
+        tournamentId,
+        gameId: entry.game_id,
+        a: entry.old_a,
+        b: entry.old_b,
+        detail: entry.old_detail || undefined,
+        user,
+        action: "undo",
+        cascade,
+        canScoreGame: (game) =>
+          can(user.roles, "scores:write", { tournamentId, game }),
+      });
+
+      if (result.error) {
+        return res.status(500).json({ error: result.error.message });
+      }
+      if (result.rejected) {
+        return res
+          .status(result.rejected.status)
+          .json({ error: result.rejected.error });
+      }
+      if (result.blocked) {
+        return res.status(409).json({
+          error: "Later games already have results that depend on this one",
+          affected: result.affected,
+        });
+      }
+
+      return res.status(200).json({
+        ok: true,
+        gameId: entry.game_id,
+        a: entry.old_a,
+        b: entry.old_b,
+        ...(entry.old_detail || {}),
+        cleared: result.affected,
+      });
+    }
+
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
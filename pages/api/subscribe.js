@@ -0,0 +1,81 @@
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { clientIp, rateLimit } from "../../lib/rateLimit";
+import {
+  EMAIL_RE,
+  SUBSCRIBER_COLUMNS,
+  cleanPreferences,
+  findSubscriber,
+  newToken,
+  sendConfirmation,
+} from "../../lib/subscribers";
+
+// Same answer whether or not the address was already on the list
+const CHECK_INBOX = "Check your inbox to confirm your subscription.";
+
+export default async function handler(req, res) {
+  try {
+    // ---------- SUBSCRIBE (public) ----------
+    // Double opt-in: the address only counts once the emailed link is opened
+    if (req.method === "POST") {
+      if (
+        !rateLimit(`subscribe:${clientIp(req)}`, {
+          limit: 5,
+          windowMs: 10 * 60 * 1000,
+        })
+      ) {
+        return res
+          .status(429)
+          .json({ error: "Too many attempts. Try again later." });
+      }
+
+      const email = String(req.body?.email || "")
+        .trim()
+        .toLowerCase();
+      if (!EMAIL_RE.test(email) || email.length > 254) {
+        return res.status(400).json({ error: "Enter a valid email" });
+      }
+      const { prefs, error: prefsErr } = cleanPreferences(req.body);
+      if (prefsErr) {
+        return res.status(400).json({ error: prefsErr });
+      }
+
+      const { data: existing, error: readErr } = await findSubscriber(
+        "email",
+        email
+      );
+      if (readErr) {
+        return res.status(500).json({ error: readErr.message });
+      }
+      if (existing?.status === "confirmed") {
+        return res.status(200).json({ ok: true, message: CHECK_INBOX });
+      }
+
+      // New, still pending or previously unsubscribed: (re)send the link.
+      // Anyone can type any address, so the preferences wait for the link
+      const row = {
+        pending_preferences: prefs,
+        email,
+        status: "pending",
+        confirm_token: newToken(),
+        unsubscribe_token: existing?.unsubscribe_token || newToken(),
+      };
+      const { data: subscriber, error } = await supabaseAdmin
+        .from("subscribers")
+        .upsert(row, { onConflict: "email" })
+        .select(SUBSCRIBER_COLUMNS)
+        .single();
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      await sendConfirmation(subscriber);
+
+      return res.status(200).json({ ok: true, message: CHECK_INBOX });
+    }
+
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
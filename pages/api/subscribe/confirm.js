@@ -0,0 +1,50 @@
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { findSubscriber } from "../../../lib/subscribers";
+import { siteOrigin } from "../../../lib/site";
+
+export default async function handler(req, res) {
+  try {
+    // ---------- CONFIRM (link from the opt-in email) ----------
+    if (req.method === "GET") {
+      const { token } = req.query || {};
+      const origin = siteOrigin();
+      if (!token) {
+        return res.redirect(302, `${origin}/?newsletter=invalid`);
+      }
+
+      const { data: subscriber, error } = await findSubscriber(
+        "confirm_token",
+        token
+      );
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      if (!subscriber) {
+        return res.redirect(302, `${origin}/?newsletter=invalid`);
+      }
+
+      // Tokens are single-use
+      const { error: updateErr } = await supabaseAdmin
+        .from("subscribers")
+        .update({
+          ...(subscriber.pending_preferences || {}),
+          pending_preferences: null,
+          status: "confirmed",
+          confirm_token: null,
+          confirmed_at: new Date().toISOString(),
+          unsubscribed_at: null,
+        })
+        .eq("id", subscriber.id);
+      if (updateErr) {
+        return res.status(500).json({ error: updateErr.message });
+      }
+
+      return res.redirect(302, `${origin}/?newsletter=confirmed`);
+    }
+
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,61 @@
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { cleanPreferences, findSubscriber } from "../../../lib/subscribers";
+
+// Result-email settings, keyed by the subscriber's unsubscribe token (the
+// one secret every email already carries)
+export default async function handler(req, res) {
+  try {
+    const token = req.query?.token || req.body?.token;
+    if (!token) {
+      return res.status(400).json({ error: "Missing token" });
+    }
+
+    const { data: subscriber, error } = await findSubscriber(
+      "unsubscribe_token",
+      token
+    );
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!subscriber) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    // ---------- READ ----------
+    if (req.method === "GET") {
+      return res.status(200).json({
+        notifyResults: subscriber.notify_results !== false,
+        teams: subscriber.teams || [],
+      });
+    }
+
+    // ---------- UPDATE ----------
+    if (req.method === "POST") {
+      const { prefs, error: prefsErr } = cleanPreferences(req.body);
+      if (prefsErr) {
+        return res.status(400).json({ error: prefsErr });
+      }
+
+      const { data, error: updateErr } = await supabaseAdmin
+        .from("subscribers")
+        .update(prefs)
+        .eq("id", subscriber.id)
+        .select("notify_results,teams")
+        .single();
+      if (updateErr) {
+        return res.status(500).json({ error: updateErr.message });
+      }
+
+      return res.status(200).json({
+        ok: true,
+        notifyResults: data.notify_results !== false,
+        teams: data.teams || [],
+      });
+    }
+
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,203 @@
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { requireRole } from "../../lib/auth";
+import {
+  hasResults,
+  teamNameTaken,
+  tournamentIdForTeam,
+} from "../../lib/tournaments";
+import {
+  PLAYER_COLUMNS,
+  aggregateStats,
+  getPlayerLines,
+} from "../../lib/stats";
+
+// Supabase table `teams`:
+//   id uuid pk, tournament_id uuid -> tournaments.id, name text,
+//   club text (school / club, for same-club checks in the draw),
+//   position int (bracket order; seed order once a draw is made), created_at
+const TEAM_COLUMNS = "id,tournament_id,name,club,position";
+const TEAMS_LOCKED = "Teams are locked once games have results";
+const NAME_TAKEN = "A team with that name is already in this edition";
+
+export default async function handler(req, res) {
+  try {
+    // ---------- READ (public) ----------
+    // ?id=... -> one team with roster and season stats
+    if (req.method === "GET") {
+      const { id, tournament } = req.query || {};
+      if (id) {
+        const { data: team, error } = await supabaseAdmin
+          .from("teams")
+          .select(TEAM_COLUMNS)
+          .eq("id", id)
+          .maybeSingle();
+        if (error) {
+          return res.status(500).json({ error: error.message });
+        }
+        if (!team) {
+          return res.status(404).json({ error: "Team not found" });
+        }
+
+        const { data: players, error: playersErr } = await supabaseAdmin
+          .from("players")
+          .select(PLAYER_COLUMNS)
+          .eq("team_id", id)
+          .order("jersey", { ascending: true });
+        if (playersErr) {
+          return res.status(500).json({ error: playersErr.message });
+        }
+
+        const roster = (players || []).map((p) => ({
+          ...p,
+          team_name: team.name,
+        }));
+        const { lines, error: linesErr } = await getPlayerLines(
+          roster.map((p) => p.id)
+        );
+        if (linesErr) {
+          return res.status(500).json({ error: linesErr.message });
+        }
+
+        return res.status(200).json({
+          team,
+          players: roster,
+          stats: aggregateStats(lines, roster),
+        });
+      }
+
+      if (!tournament) {
+        return res.status(400).json({ error: "Missing tournament" });
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("teams")
+        .select(TEAM_COLUMNS)
+        .eq("tournament_id", tournament)
+        .order("position", { ascending: true });
+
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ teams: data || [] });
+    }
+
+    // ---------- CREATE / UPDATE (directors) ----------
+    if (req.method === "POST") {
+      const { id, tournamentId, name, club, position } = req.body || {};
+      if (!id && !tournamentId) {
+        return res.status(400).json({ error: "Missing tournamentId" });
+      }
+      if ((!id || name !== undefined) && !String(name || "").trim()) {
+        return res.status(400).json({ error: "Missing name" });
+      }
+      if (position !== undefined && !Number.isInteger(Number(position))) {
+        return res.status(400).json({ error: "Position must be a number" });
+      }
+
+      // Moving a team needs rights in both editions
+      const tournamentIds = tournamentId ? [tournamentId] : [];
+      let current = null;
+      if (id) {
+        const { data, error } = await supabaseAdmin
+          .from("teams")
+          .select("tournament_id,name")
+          .eq("id", id)
+          .maybeSingle();
+        if (error) {
+          return res.status(500).json({ error: error.message });
+        }
+        if (!data) {
+          return res.status(404).json({ error: "Team not found" });
+        }
+        current = data;
+        if (!tournamentIds.includes(current.tournament_id))
+          tournamentIds.push(current.tournament_id);
+      }
+      for (const t of tournamentIds) {
+        const user = await requireRole(req, res, "teams:write", {
+          tournamentId: t,
+        });
+        if (!user) return;
+      }
+
+      // Adding, moving or reordering a team regenerates the games, so stored
+      // scores would land on different matchups. Scores also keep the team
+      // names they were entered for, so a rename would leave them stale.
+      const newName = name !== undefined ? String(name).trim() : null;
+      const renamed = !!current && newName !== null && newName !== current.name;
+      if (
+        !id ||
+        tournamentId !== undefined ||
+        position !== undefined ||
+        renamed
+      ) {
+        for (const t of tournamentIds) {
+          if (await hasResults(t)) {
+            return res.status(409).json({ error: TEAMS_LOCKED });
+          }
+        }
+      }
+
+      // Games and scores tell teams apart by name
+      const target = tournamentId || current.tournament_id;
+      const finalName = newName ?? current.name;
+      if (
+        (!id || renamed || target !== current.tournament_id) &&
+        (await teamNameTaken(target, finalName, id))
+      ) {
+        return res.status(409).json({ error: NAME_TAKEN });
+      }
+
+      const row = {};
+      if (tournamentId !== undefined) row.tournament_id = tournamentId;
+      if (newName !== null) row.name = newName;
+      if (club !== undefined) row.club = String(club || "").trim() || null;
+      if (position !== undefined) row.position = Number(position);
+
+      const query = id
+        ? supabaseAdmin.from("teams").update(row).eq("id", id)
+        : supabaseAdmin.from("teams").insert(row);
+
+      const { data, error } = await query.select(TEAM_COLUMNS).single();
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ ok: true, team: data });
+    }
+
+    // ---------- DELETE (directors) ----------
+    if (req.method === "DELETE") {
+      const { id } = req.query || {};
+      if (!id) {
+        return res.status(400).json({ error: "Missing id" });
+      }
+
+      const tournamentId = await tournamentIdForTeam(id);
+      if (!tournamentId) {
+        return res.status(404).json({ error: "Team not found" });
+      }
+      const user = await requireRole(req, res, "teams:write", {
+        tournamentId,
+      });
+      if (!user) return;
+
+      if (await hasResults(tournamentId)) {
+        return res.status(409).json({ error: TEAMS_LOCKED });
+      }
+
+      const { error } = await supabaseAdmin.from("teams").delete().eq("id", id);
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "DELETE"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,205 @@
+import bracket from "../../bracket";
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { requireRole } from "../../lib/auth";
+import {
+  hasResults,
+  loadTournament,
+  sameMatchups,
+} from "../../lib/tournaments";
+
+// Supabase table `tournaments`:
+//   id uuid pk, name text, format text, days int, court_name text,
+//   settings jsonb (day start times, pools, knockoutTeams, ...),
+//   is_current bool, finalized_at (set = results are final, no more score
+//   edits), created_at, updated_at
+
+const TOURNAMENT_COLUMNS =
+  "id,name,format,days,court_name,settings,is_current,finalized_at,created_at,updated_at";
+
+async function loadTeams(tournamentId) {
+  return supabaseAdmin
+    .from("teams")
+    .select("id,name,position")
+    .eq("tournament_id", tournamentId)
+    .order("position", { ascending: true });
+}
+
+export default async function handler(req, res) {
+  try {
+    // ---------- READ (public) ----------
+    // ?id=... or ?current=1 -> one event with its teams, otherwise the list
+    if (req.method === "GET") {
+      const { id, current } = req.query || {};
+
+      if (id || current) {
+        let query = supabaseAdmin
+          .from("tournaments")
+          .select(TOURNAMENT_COLUMNS);
+        query = id ? query.eq("id", id) : query.eq("is_current", true);
+
+        const { data: tournament, error } = await query.maybeSingle();
+        if (error) {
+          return res.status(500).json({ error: error.message });
+        }
+        if (!tournament) {
+          return res.status(404).json({ error: "Tournament not found" });
+        }
+
+        const { data: teams, error: teamsErr } = await loadTeams(tournament.id);
+        if (teamsErr) {
+          return res.status(500).json({ error: teamsErr.message });
+        }
+
+        return res.status(200).json({ tournament, teams: teams || [] });
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("tournaments")
+        .select(TOURNAMENT_COLUMNS)
+        .order("created_at", { ascending: false });
+
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ tournaments: data || [] });
+    }
+
+    // ---------- CREATE (super admins) / UPDATE (directors) ----------
+    if (req.method === "POST") {
+      const {
+        id,
+        name,
+        format,
+        days,
+        courtName,
+        settings,
+        isCurrent,
+        finalized,
+      } = req.body || {};
+
+      // Which edition is shown on the site affects every edition
+      const user = await requireRole(
+        req,
+        res,
+        id && isCurrent === undefined
+          ? "tournaments:write"
+          : "tournaments:create",
+        { tournamentId: id }
+      );
+      if (!user) return;
+
+      if (!id && !name) {
+        return res.status(400).json({ error: "Missing name" });
+      }
+      if (format !== undefined && !bracket.FORMATS.includes(format)) {
+        return res.status(400).json({ error: "Unknown format" });
+      }
+      if (days !== undefined) {
+        const daysNum = Number(days);
+        if (!Number.isInteger(daysNum) || daysNum < 1) {
+          return res
+            .status(400)
+            .json({ error: "Days must be a positive whole number" });
+        }
+      }
+      if (
+        settings !== undefined &&
+        (typeof settings !== "object" || !settings)
+      ) {
+        return res.status(400).json({ error: "Settings must be an object" });
+      }
+
+      const row = { updated_at: new Date().toISOString() };
+      if (name !== undefined) row.name = String(name).trim();
+      if (format !== undefined) row.format = format;
+      if (days !== undefined) row.days = Number(days);
+      if (courtName !== undefined) row.court_name = String(courtName).trim();
+      if (settings !== undefined) row.settings = settings;
+      if (isCurrent !== undefined) row.is_current = !!isCurrent;
+      if (finalized !== undefined)
+        row.finalized_at = finalized ? new Date().toISOString() : null;
+
+      // Format, days and settings decide the games; once scores are stored
+      // they can only change in ways that keep every game's matchup (start
+      // times, courts, names)
+      const bracketChange =
+        format !== undefined ||
+        days !== undefined ||
+        courtName !== undefined ||
+        settings !== undefined;
+      if (id && bracketChange && (await hasResults(id))) {
+        const before = await loadTournament(id);
+        if (!before) {
+          return res.status(404).json({ error: "Tournament not found" });
+        }
+        const after = {
+          ...before,
+          tournament: { ...before.tournament, ...row },
+        };
+        let same;
+        try {
+          same = sameMatchups(before, after);
+        } catch (err) {
+          // The new layout doesn't build (e.g. not enough court time)
+          return res.status(400).json({ error: err.message });
+        }
+        if (!same) {
+          return res.status(409).json({
+            error:
+              "Games already have results; this change would move them to different matchups",
+          });
+        }
+      }
+
+      // Only one edition is shown on the site at a time
+      if (row.is_current) {
+        const { error: clearErr } = await supabaseAdmin
+          .from("tournaments")
+          .update({ is_current: false })
+          .eq("is_current", true);
+        if (clearErr) {
+          return res.status(500).json({ error: clearErr.message });
+        }
+      }
+
+      const query = id
+        ? supabaseAdmin.from("tournaments").update(row).eq("id", id)
+        : supabaseAdmin.from("tournaments").insert(row);
+
+      const { data, error } = await query.select(TOURNAMENT_COLUMNS).single();
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ ok: true, tournament: data });
+    }
+
+    // ---------- DELETE (super admins) ----------
+    if (req.method === "DELETE") {
+      const user = await requireRole(req, res, "tournaments:delete");
+      if (!user) return;
+
+      const { id } = req.query || {};
+      if (!id) {
+        return res.status(400).json({ error: "Missing id" });
+      }
+
+      const { error } = await supabaseAdmin
+        .from("tournaments")
+        .delete()
+        .eq("id", id);
+
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "DELETE"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
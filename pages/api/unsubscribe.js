@@ -0,0 +1,97 @@
+import bracket from "../../bracket";
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { findSubscriber } from "../../lib/subscribers";
+import { siteOrigin } from "../../lib/site";
+
+// Mail scanners open every link in an email, so the link itself (GET) only
+// shows a button; the unsubscribe happens on POST, from that button or a
+// mail client's one-click unsubscribe.
+function confirmPage(token) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex" />
+    <title>Unsubscribe · Adrenale 5</title>
+  </head>
+  <body style="font-family: system-ui, sans-serif; max-width: 420px; margin: 80px auto; padding: 0 16px; text-align: center;">
+    <h1 style="font-size: 22px;">Stop Adrenale 5 emails?</h1>
+    <p style="color: #4b5563;">You won't get tournament updates or result emails at this address any more.</p>
+    <form method="POST" action="/api/unsubscribe">
+      <input type="hidden" name="token" value="${bracket.escapeAttr(token)}" />
+      <button type="submit" style="padding: 10px 18px; border: 0; border-radius: 8px; background: #111827; color: #fff; font-weight: 700; cursor: pointer;">Unsubscribe</button>
+    </form>
+  </body>
+</html>`;
+}
+
+export default async function handler(req, res) {
+  try {
+    const origin = siteOrigin();
+
+    // ---------- CONFIRMATION PAGE (link in every email) ----------
+    if (req.method === "GET") {
+      const { token } = req.query || {};
+      if (!token) {
+        return res.redirect(302, `${origin}/?newsletter=invalid`);
+      }
+
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).send(confirmPage(String(token)));
+    }
+
+    // ---------- UNSUBSCRIBE (the page's button, one-click) ----------
+    if (req.method === "POST") {
+      const token = req.body?.token || req.query?.token;
+      // Mail clients send "List-Unsubscribe=One-Click" and want a plain 200
+      const oneClick = req.body?.["List-Unsubscribe"] === "One-Click";
+      if (!token) {
+        if (oneClick) return res.status(400).json({ error: "Missing token" });
+        return res.redirect(303, `${origin}/?newsletter=invalid`);
+      }
+
+      const { data: subscriber, error } = await findSubscriber(
+        "unsubscribe_token",
+        token
+      );
+      if (error) {
+        return res.status(500).json({ error: error.message });
+      }
+
+      // Captains' result emails carry their registration's token instead
+      if (!subscriber) {
+        const { error: captainErr } = await supabaseAdmin
+          .from("registrations")
+          .update({ notify_results: false })
+          .eq("notify_token", token);
+        if (captainErr) {
+          return res.status(500).json({ error: captainErr.message });
+        }
+      }
+
+      if (subscriber && subscriber.status !== "unsubscribed") {
+        const { error: updateErr } = await supabaseAdmin
+          .from("subscribers")
+          .update({
+            status: "unsubscribed",
+            confirm_token: null,
+            unsubscribed_at: new Date().toISOString(),
+          })
+          .eq("id", subscriber.id);
+        if (updateErr) {
+          return res.status(500).json({ error: updateErr.message });
+        }
+      }
+
+      if (oneClick) return res.status(200).json({ ok: true });
+      return res.redirect(303, `${origin}/?newsletter=unsubscribed`);
+    }
+
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).end("Method Not Allowed");
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,438 @@
+// profiles.js
+// Team and player pages for scouts (team.html?id=..., player.html?id=...),
+// built from the roster API, box scores and the shared bracket (bracket.js).
+
+(function () {
+  const Bracket = window.AdrenaleBracket;
+  const { escapeAttr, escapeHtml } = Bracket;
+
+  // Same rules as schedule.js
+  function getApiBase() {
+    if (window.API_BASE_URL)
+      return String(window.API_BASE_URL).replace(/\/$/, "");
+
+    if (
+      location.hostname === "localhost" ||
+      location.hostname === "127.0.0.1"
+    ) {
+      return "https://adrenale5.vercel.app";
+    }
+
+    return "";
+  }
+
+  async function apiGet(path) {
+    const res = await fetch(`${getApiBase()}${path}`, { method: "GET" });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || "Failed to load");
+    return json;
+  }
+
+  // The edition's games and scores, so results read the same as the schedule
+  async function loadBracket(tournamentId) {
+    const id = encodeURIComponent(tournamentId);
+    const [event, scores] = await Promise.all([
+      apiGet(`/api/tournaments?id=${id}`),
+      apiGet(`/api/scores?tournament=${id}`),
+    ]);
+    return {
+      event,
+      games: Bracket.gamesFromOptions(Bracket.eventToOptions(event)),
+      state: { scores: scores.scores || {} },
+    };
+  }
+
+  // -----------------------------
+  // Helpers
+  // -----------------------------
+  function perGame(total, games) {
+    return games ? (total / games).toFixed(1) : "0.0";
+  }
+
+  function teamHref(id) {
+    return `team.html?id=${encodeURIComponent(id)}`;
+  }
+
+  function playerHref(id) {
+    return `player.html?id=${encodeURIComponent(id)}`;
+  }
+
+  function teamLink(name, teams) {
+    const team = teams.find((t) => t.name === name);
+    return team
+      ? `<a class="cta-link" href="${escapeAttr(
+          teamHref(team.id)
+        )}">${escapeHtml(name)}</a>`
+      : escapeHtml(name);
+  }
+
+  function scoreLine(game, state, side) {
+    const s = state.scores[game.id];
+    if (!s || s.a === null || s.a === undefined || s.a === "") return "";
+    return side === "a" ? `${s.a} - ${s.b}` : `${s.b} - ${s.a}`;
+  }
+
+  function resultChip(result) {
+    if (!result) return `<span class="chip">Upcoming</span>`;
+    return `<span class="chip ${
+      result === "W" ? "orange" : ""
+    }">${result}</span>`;
+  }
+
+  // webcal:// so calendar apps subscribe and pick up later rounds
+  function calendarButton(team) {
+    const url = `${
+      getApiBase() || location.origin
+    }/api/calendar?${new URLSearchParams({
+      tournament: team.tournament_id,
+      team: team.name,
+    })}`.replace(/^https?:/, "webcal:");
+    return `<a class="btn" href="${escapeAttr(url)}">Add games to calendar</a>`;
+  }
+
+  function shareButton() {
+    return `<button class="btn" id="shareProfile" type="button">Share</button>`;
+  }
+
+  function wireShare(title) {
+    const btn = document.getElementById("shareProfile");
+    if (!btn) return;
+    btn.addEventListener("click", async () => {
+      const url = location.href;
+      try {
+        if (navigator.share) await navigator.share({ title, url });
+        else {
+          await navigator.clipboard.writeText(url);
+          btn.textContent = "Link copied";
+        }
+      } catch (e) {
+        // Share sheet dismissed
+      }
+    });
+  }
+
+  // -----------------------------
+  // Result alerts (Web Push, see sw.js)
+  // -----------------------------
+  function pushSupported() {
+    return "serviceWorker" in navigator && "PushManager" in window;
+  }
+
+  function alertsButton() {
+    if (!pushSupported()) return "";
+    return `<button class="btn" id="teamAlerts" type="button">Get result alerts</button>`;
+  }
+
+  // VAPID keys travel base64url-encoded; pushManager wants raw bytes
+  function urlBase64ToBytes(key) {
+    const padded = (key + "=".repeat((4 - (key.length % 4)) % 4))
+      .replace(/-/g, "+")
+      .replace(/_/g, "/");
+    return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+  }
+
+  async function followTeam(teamId) {
+    const { publicKey } = await apiGet("/api/push");
+    if (!publicKey) throw new Error("Alerts aren't set up yet");
+
+    if ((await Notification.requestPermission()) !== "granted") {
+      throw new Error("Notifications are blocked for this site");
+    }
+
+    const reg = await navigator.serviceWorker.register("sw.js");
+    await navigator.serviceWorker.ready;
+    const subscription =
+      (await reg.pushManager.getSubscription()) ||
+      (await reg.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToBytes(publicKey),
+      }));
+
+    const res = await fetch(`${getApiBase()}/api/push`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ subscription: subscription.toJSON(), teamId }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || "Could not turn on alerts");
+  }
+
+  function wireAlerts(teamId) {
+    const btn = document.getElementById("teamAlerts");
+    if (!btn) return;
+    btn.addEventListener("click", async () => {
+      btn.disabled = true;
+      try {
+        await followTeam(teamId);
+        btn.textContent = "Alerts on";
+      } catch (err) {
+        btn.disabled = false;
+        alert(err.message || "Could not turn on alerts");
+      }
+    });
+  }
+
+  // -----------------------------
+  // Team page
+  // -----------------------------
+  function renderTeam(el, data, bracket) {
+    const { team, players, stats } = data;
+    const teams = bracket?.event.teams || [];
+    const path = bracket
+      ? Bracket.teamPath(bracket.games, bracket.state, team.name)
+      : [];
+    const wins = path.filter((p) => p.result === "W").length;
+    const losses = path.filter((p) => p.result === "L").length;
+    const byPlayer = Object.fromEntries(stats.map((t) => [t.playerId, t]));
+
+    const pathRows = path.length
+      ? path
+          .map(
+            (p) => `
+              <div class="li" style="justify-content:space-between;gap:12px;">
+                <div>
+                  <div style="font-weight:900;">${escapeHtml(
+                    p.game.label || p.game.id
+                  )} • vs ${teamLink(p.opponent, teams)}</div>
+                  <div class="muted" style="font-size:12px;">${escapeHtml(
+                    p.game.day
+                  )} • ${escapeHtml(p.game.hour)} — ${escapeHtml(
+              p.game.court
+            )}</div>
+                </div>
+                <div style="display:flex;gap:8px;align-items:center;">
+                  <span style="font-weight:900;">${escapeHtml(
+                    scoreLine(p.game, bracket.state, p.side)
+                  )}</span>
+                  ${resultChip(p.result)}
+                </div>
+              </div>`
+          )
+          .join("")
+      : `<div class="muted">No games scheduled yet.</div>`;
+
+    const rosterRows = players.length
+      ? players
+          .map((p) => {
+            const t = byPlayer[p.id] || { games: 0 };
+            return `
+              <tr>
+                <td>${escapeHtml(p.jersey ?? "")}</td>
+                <td><a class="cta-link" href="${escapeAttr(
+                  playerHref(p.id)
+                )}">${escapeHtml(p.name)}</a></td>
+                <td>${escapeHtml(p.position || "")}</td>
+                <td>${escapeHtml(p.height || "")}</td>
+                <td>${t.games}</td>
+                <td>${perGame(t.points || 0, t.games)}</td>
+                <td>${perGame(t.rebounds || 0, t.games)}</td>
+                <td>${perGame(t.assists || 0, t.games)}</td>
+              </tr>`;
+          })
+          .join("")
+      : `<tr><td colspan="8" class="muted">No roster yet.</td></tr>`;
+
+    el.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;flex-wrap:wrap;">
+        <div>
+          <h1 class="section-title" style="margin:0;">${escapeHtml(
+            team.name
+          )}</h1>
+          <div class="muted">${escapeHtml(
+            bracket?.event.tournament?.name || ""
+          )} • Record ${wins}-${losses}</div>
+        </div>
+        <div style="display:flex;gap:8px;flex-wrap:wrap;">
+          ${alertsButton()}
+          ${calendarButton(team)}
+          ${shareButton()}
+        </div>
+      </div>
+
+      <div class="card card-pad" style="margin-top:18px;">
+        <h2 style="margin-top:0;font-size:16px;">Path through the bracket</h2>
+        <div class="list" style="grid-template-columns:1fr;">${pathRows}</div>
+      </div>
+
+      <div class="card card-pad" style="margin-top:18px;overflow-x:auto;">
+        <h2 style="margin-top:0;font-size:16px;">Roster</h2>
+        <table class="profile-table">
+          <thead>
+            <tr>
+              <th>#</th><th>Player</th><th>Pos</th><th>Ht</th>
+              <th>GP</th><th>PPG</th><th>RPG</th><th>APG</th>
+            </tr>
+          </thead>
+          <tbody>${rosterRows}</tbody>
+        </table>
+      </div>
+    `;
+
+    document.title = `${team.name} – Adrenale 5`;
+    wireShare(team.name);
+    wireAlerts(team.id);
+  }
+
+  // -----------------------------
+  // Player page
+  // -----------------------------
+  function renderPlayer(el, data, bracket) {
+    const { player, team, totals, games: lines } = data;
+    const t = totals || {
+      games: 0,
+      points: 0,
+      rebounds: 0,
+      assists: 0,
+      fouls: 0,
+    };
+    const teams = bracket?.event.teams || [];
+    const path = bracket
+      ? Bracket.teamPath(bracket.games, bracket.state, team?.name)
+      : [];
+    const byGame = Object.fromEntries(path.map((p) => [p.game.id, p]));
+
+    const logRows = lines.length
+      ? lines
+          .map((line) => {
+            const p = byGame[line.game_id];
+            return `
+              <tr>
+                <td>${escapeHtml(p?.game.label || line.game_id)}</td>
+                <td>${p ? teamLink(p.opponent, teams) : ""}</td>
+                <td>${p ? resultChip(p.result) : ""}</td>
+                <td>${line.points}</td>
+                <td>${line.rebounds}</td>
+                <td>${line.assists}</td>
+                <td>${line.fouls}</td>
+              </tr>`;
+          })
+          .join("")
+      : `<tr><td colspan="7" class="muted">No box scores yet.</td></tr>`;
+
+    const facts = [
+      player.jersey !== null && player.jersey !== undefined
+        ? `#${player.jersey}`
+        : "",
+      player.position || "",
+      player.height || "",
+    ].filter(Boolean);
+
+    el.innerHTML = `
+      <div style="display:flex;gap:18px;align-items:center;flex-wrap:wrap;">
+        ${
+          player.photo_url
+            ? `<img src="${escapeAttr(player.photo_url)}" alt="${escapeAttr(
+                player.name
+              )}" style="width:120px;height:120px;object-fit:cover;border-radius:var(--radius);">`
+            : ""
+        }
+        <div style="flex:1;min-width:200px;">
+          <h1 class="section-title" style="margin:0;">${escapeHtml(
+            player.name
+          )}</h1>
+          <div class="muted">${escapeHtml(facts.join(" • "))}${
+      team ? ` • ${teamLink(team.name, teams.length ? teams : [team])}` : ""
+    }</div>
+        </div>
+        ${shareButton()}
+      </div>
+
+      ${
+        player.bio
+          ? `<div class="card card-pad" style="margin-top:18px;"><p style="margin:0;white-space:pre-line;">${escapeHtml(
+              player.bio
+            )}</p></div>`
+          : ""
+      }
+
+      <div class="strip" style="margin-top:18px;">
+        <div class="strip-grid">
+          ${[
+            ["Games", t.games],
+            ["PPG", perGame(t.points, t.games)],
+            ["RPG", perGame(t.rebounds, t.games)],
+            ["APG", perGame(t.assists, t.games)],
+          ]
+            .map(
+              ([k, v]) => `
+                <div class="strip-item">
+                  <div>
+                    <div class="strip-k">${k}</div>
+                    <div class="strip-v">${escapeHtml(v)}</div>
+                  </div>
+                </div>`
+            )
+            .join("")}
+        </div>
+      </div>
+
+      <div class="card card-pad" style="margin-top:18px;overflow-x:auto;">
+        <h2 style="margin-top:0;font-size:16px;">Game log</h2>
+        <table class="profile-table">
+          <thead>
+            <tr>
+              <th>Game</th><th>Opponent</th><th>Result</th>
+              <th>PTS</th><th>REB</th><th>AST</th><th>PF</th>
+            </tr>
+          </thead>
+          <tbody>${logRows}</tbody>
+        </table>
+      </div>
+    `;
+
+    document.title = `${player.name} – Adrenale 5`;
+    wireShare(player.name);
+  }
+
+  // -----------------------------
+  // Boot
+  // -----------------------------
+  async function init() {
+    const savedTheme = localStorage.getItem("theme");
+    if (savedTheme === "dark" || savedTheme === "light")
+      document.body.setAttribute("data-theme", savedTheme);
+
+    const el = document.getElementById("profile");
+    if (!el) return;
+    const kind = el.getAttribute("data-profile");
+    const id = new URLSearchParams(location.search).get("id");
+
+    if (!id) {
+      el.innerHTML = `<div class="muted">No ${escapeHtml(
+        kind
+      )} selected.</div>`;
+      return;
+    }
+
+    el.innerHTML = `<div class="muted">Loading…</div>`;
+    try {
+      const data = await apiGet(
+        `/api/${kind === "team" ? "teams" : "players"}?id=${encodeURIComponent(
+          id
+        )}`
+      );
+      const tournamentId = data.team?.tournament_id;
+
+      // The bracket is a nice-to-have; the profile still shows without it
+      let bracket = null;
+      if (tournamentId) {
+        try {
+          bracket = await loadBracket(tournamentId);
+        } catch (e) {
+          console.warn(e?.message || e);
+        }
+      }
+
+      if (kind === "team") renderTeam(el, data, bracket);
+      else renderPlayer(el, data, bracket);
+    } catch (err) {
+      el.innerHTML = `<div class="muted">${escapeHtml(
+        err?.message || "Failed to load"
+      )}</div>`;
+    }
+  }
+
+  if (document.readyState === "loading")
+    document.addEventListener("DOMContentLoaded", init);
+  else init();
+})();
@@ -0,0 +1,195 @@
+// register.js
+// Team registration form (register.html) -> /api/registrations, then the
+// payment provider's checkout. Captains land back here with ?reference=...
+
+(function () {
+  const MAX_ROSTER = 15;
+  const START_ROWS = 5;
+  // Shared escaping from bracket.js
+  const { escapeHtml } = window.AdrenaleBracket;
+
+  // Same rules as schedule.js
+  function getApiBase() {
+    if (window.API_BASE_URL)
+      return String(window.API_BASE_URL).replace(/\/$/, "");
+
+    if (
+      location.hostname === "localhost" ||
+      location.hostname === "127.0.0.1"
+    ) {
+      return "https://adrenale5.vercel.app";
+    }
+
+    return "";
+  }
+
+  function formatNaira(kobo) {
+    return `₦${(kobo / 100).toLocaleString("en-NG")}`;
+  }
+
+  const PAYMENT_TEXT = {
+    paid: "Payment received.",
+    pending: "Payment not confirmed yet. Refresh this page in a minute.",
+    failed: "Payment failed. Contact the organisers to try again.",
+    unpaid: "Payment not started.",
+  };
+
+  // -----------------------------
+  // Roster rows
+  // -----------------------------
+  function addRosterRow(rosterEl) {
+    if (rosterEl.children.length >= MAX_ROSTER) return;
+    const row = document.createElement("div");
+    row.className = "roster-row";
+    row.innerHTML = `
+      <input class="form-input" data-roster="name" placeholder="Player name" />
+      <input class="form-input" data-roster="jersey" placeholder="#" inputmode="numeric" />
+      <input class="form-input" data-roster="position" placeholder="Pos" />
+    `;
+    rosterEl.appendChild(row);
+  }
+
+  function readRoster(rosterEl) {
+    return [...rosterEl.querySelectorAll(".roster-row")]
+      .map((row) => {
+        const val = (key) =>
+          row.querySelector(`[data-roster="${key}"]`).value.trim();
+        return {
+          name: val("name"),
+          jersey: val("jersey"),
+          position: val("position"),
+        };
+      })
+      .filter((p) => p.name);
+  }
+
+  function showResult(html) {
+    const result = document.getElementById("regResult");
+    result.innerHTML = html;
+    result.style.display = "block";
+    document.getElementById("regForm").style.display = "none";
+  }
+
+  // -----------------------------
+  // Payment status (after checkout)
+  // -----------------------------
+  async function showPaymentStatus(reference) {
+    showResult(`<div class="muted">Checking your payment…</div>`);
+    try {
+      const res = await fetch(
+        `${getApiBase()}/api/registrations/payment?reference=${encodeURIComponent(
+          reference
+        )}`
+      );
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json.error || "Could not check payment");
+
+      showResult(`
+        <h2 style="margin-top:0;">${escapeHtml(json.teamName)}</h2>
+        <p>${escapeHtml(
+          PAYMENT_TEXT[json.paymentStatus] || json.paymentStatus
+        )}</p>
+        <p class="muted">${
+          json.status === "approved"
+            ? "Your team is approved and on the schedule."
+            : "The organisers will review your registration and email the captain."
+        }</p>
+        <p class="muted" style="font-size:12px;">Reference: ${escapeHtml(
+          reference
+        )}</p>
+      `);
+    } catch (err) {
+      showResult(
+        `<p>${escapeHtml(err?.message || "Could not check payment")}</p>`
+      );
+    }
+  }
+
+  // Fee and open/closed come from the current edition's settings
+  async function loadEntryInfo() {
+    try {
+      const res = await fetch(`${getApiBase()}/api/tournaments?current=1`);
+      const json = await res.json().catch(() => ({}));
+      const settings = json.tournament?.settings || {};
+      if (settings.entryFee)
+        document.getElementById("regFee").textContent = formatNaira(
+          Number(settings.entryFee) * 100
+        );
+      if (settings.registrationOpen === false || json.tournament?.finalized_at)
+        showResult(`<p>Registration is closed for this edition.</p>`);
+    } catch (e) {
+      // Keep the default fee text
+    }
+  }
+
+  // -----------------------------
+  // Boot
+  // -----------------------------
+  function init() {
+    const savedTheme = localStorage.getItem("theme");
+    if (savedTheme === "dark" || savedTheme === "light")
+      document.body.setAttribute("data-theme", savedTheme);
+
+    const reference = new URLSearchParams(location.search).get("reference");
+    if (reference) {
+      showPaymentStatus(reference);
+      return;
+    }
+
+    loadEntryInfo();
+
+    const form = document.getElementById("regForm");
+    const rosterEl = document.getElementById("regRoster");
+    const msg = document.getElementById("regMsg");
+    const submit = document.getElementById("regSubmit");
+
+    for (let i = 0; i < START_ROWS; i++) addRosterRow(rosterEl);
+    document
+      .getElementById("regAddPlayer")
+      .addEventListener("click", () => addRosterRow(rosterEl));
+
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      msg.style.display = "none";
+      submit.disabled = true;
+
+      try {
+        const res = await fetch(`${getApiBase()}/api/registrations`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            teamName: document.getElementById("regTeam").value,
+            captainName: document.getElementById("regCaptain").value,
+            captainEmail: document.getElementById("regEmail").value,
+            captainPhone: document.getElementById("regPhone").value,
+            notifyResults: document.getElementById("regNotify").checked,
+            roster: readRoster(rosterEl),
+          }),
+        });
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(json.error || "Registration failed");
+
+        // Real providers send the captain to their checkout page; the mock
+        // one has nothing to redirect to, so check the status right away
+        if (json.payment?.url) {
+          showResult(
+            `<p>Redirecting to payment (${escapeHtml(
+              formatNaira(json.payment.amount)
+            )})…</p>`
+          );
+          location.href = json.payment.url;
+        } else {
+          await showPaymentStatus(json.payment.reference);
+        }
+      } catch (err) {
+        msg.textContent = err?.message || "Registration failed";
+        msg.style.display = "block";
+        submit.disabled = false;
+      }
+    });
+  }
+
+  if (document.readyState === "loading")
+    document.addEventListener("DOMContentLoaded", init);
+  else init();
+})();
@@ -0,0 +1,28 @@
+// schedule-page.js
+// Standalone schedule (schedule.html, /schedule on Vercel). The view comes
+// from the URL: ?day=Day%202&time=Evening&team=Team%205&tournament=...,
+// and ?game=D3F (where /game/D3F links land) jumps to one game.
+
+(function () {
+  function init() {
+    const savedTheme = localStorage.getItem("theme");
+    if (savedTheme === "dark" || savedTheme === "light")
+      document.body.setAttribute("data-theme", savedTheme);
+
+    if (typeof window.initSchedule !== "function") {
+      console.error("initSchedule not found. Load schedule.js first");
+      return;
+    }
+
+    const params = new URLSearchParams(location.search);
+    const view = {};
+    for (const key of ["tournament", "day", "time", "team", "game"])
+      if (params.get(key)) view[key] = params.get(key);
+
+    window.initSchedule("schedulePage", [], { view, syncUrl: true });
+  }
+
+  if (document.readyState === "loading")
+    document.addEventListener("DOMContentLoaded", init);
+  else init();
+})();
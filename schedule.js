@@ -41,12 +41,15 @@
     return "";
   }
 
-  async function apiFetchScores() {
+  async function apiFetchScores(tournamentId) {
     const token = await getAccessToken();
     const API_BASE = getApiBase();
+    const qs = tournamentId
+      ? `?tournament=${encodeURIComponent(tournamentId)}`
+      : "";
 
     // ✅ FIX: actually store res
-    const res = await fetch(`${API_BASE}/api/scores`, {
+    const res = await fetch(`${API_BASE}/api/scores${qs}`, {
       method: "GET",
       headers: token ? { Authorization: `Bearer ${token}` } : {},
     });
@@ -56,81 +59,250 @@
 
     return {
       scores: json.scores || {},
+      // Set when sw.js answered from its offline copy
+      cachedAt: res.headers.get("X-Cached-At"),
       canEdit: !!json.canEdit,
+      // Scorekeepers may be limited to some courts / games (empty = all)
+      editScope: {
+        courts: json.editScope?.courts || [],
+        gameIds: json.editScope?.gameIds || [],
+      },
+    };
+  }
+
+  // No id -> the current edition
+  async function apiFetchEvent(tournamentId) {
+    const API_BASE = getApiBase();
+    const qs = tournamentId
+      ? `id=${encodeURIComponent(tournamentId)}`
+      : "current=1";
+
+    const res = await fetch(`${API_BASE}/api/tournaments?${qs}`, {
+      method: "GET",
+    });
+
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || "Failed to load tournament");
+
+    return {
+      tournament: json.tournament || null,
+      teams: json.teams || [],
     };
   }
 
-  async function apiSaveScore(gameId, a, b) {
+  async function apiFetchPlayers(tournamentId) {
+    const API_BASE = getApiBase();
+    const qs = new URLSearchParams({ tournament: tournamentId });
+
+    const res = await fetch(`${API_BASE}/api/players?${qs}`, {
+      method: "GET",
+    });
+
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || "Failed to load rosters");
+    return json.players || [];
+  }
+
+  async function apiSavePlayer(player) {
     const token = await getAccessToken();
     if (!token) throw new Error("Not logged in");
 
     const API_BASE = getApiBase();
 
-    const res = await fetch(`${API_BASE}/api/scores`, {
+    const res = await fetch(`${API_BASE}/api/players`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(player),
+    });
+
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || "Failed to save player");
+    return json.player;
+  }
+
+  async function apiFetchBoxScore(gameId, tournamentId) {
+    const API_BASE = getApiBase();
+    const qs = new URLSearchParams({ gameId });
+    if (tournamentId) qs.set("tournament", tournamentId);
+
+    const res = await fetch(`${API_BASE}/api/box-scores?${qs}`, {
+      method: "GET",
+    });
+
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || "Failed to load box score");
+    return json.lines || [];
+  }
+
+  async function apiSaveBoxScore(gameId, lines, tournamentId) {
+    const token = await getAccessToken();
+    if (!token) throw new Error("Not logged in");
+
+    const API_BASE = getApiBase();
+
+    const res = await fetch(`${API_BASE}/api/box-scores`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
         Authorization: `Bearer ${token}`,
       },
-      body: JSON.stringify({ gameId, a, b }),
+      body: JSON.stringify({ gameId, lines, tournamentId }),
     });
 
     const json = await res.json().catch(() => ({}));
-    if (!res.ok) throw new Error(json.error || "Save failed");
+    if (!res.ok) throw new Error(json.error || "Failed to save box score");
     return true;
   }
 
+  async function apiFetchLeaders(tournamentId) {
+    const API_BASE = getApiBase();
+    const qs = tournamentId
+      ? `?tournament=${encodeURIComponent(tournamentId)}`
+      : "";
+
+    const res = await fetch(`${API_BASE}/api/leaders${qs}`, { method: "GET" });
+
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || "Failed to load leaders");
+    return json.leaders || {};
+  }
+
+  async function apiFetchTournaments() {
+    const API_BASE = getApiBase();
+
+    const res = await fetch(`${API_BASE}/api/tournaments`, { method: "GET" });
+
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || "Failed to load tournaments");
+    return json.tournaments || [];
+  }
+
+  async function apiFetchHistory(gameId, tournamentId) {
+    const token = await getAccessToken();
+    if (!token) throw new Error("Not logged in");
+
+    const API_BASE = getApiBase();
+    const qs = new URLSearchParams({ gameId });
+    if (tournamentId) qs.set("tournament", tournamentId);
+
+    const res = await fetch(`${API_BASE}/api/scores/history?${qs}`, {
+      method: "GET",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || "Failed to load history");
+    return json.history || [];
+  }
+
+  // 409 from the API means later results depend on this game; the caller
+  // can confirm and resend with { cascade: "clear" }
+  function saveError(json, fallback, status) {
+    const err = new Error(json.error || fallback);
+    err.status = status;
+    if (Array.isArray(json.affected)) err.affected = json.affected;
+    // Offline replay hit a newer score on the server
+    if (json.conflict) {
+      err.conflict = true;
+      err.current = json.current || null;
+    }
+    return err;
+  }
+
+  // "just now", "5 minutes ago", "3 hours ago", "2 days ago"
+  function timeAgo(iso) {
+    const mins = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+    if (mins < 1) return "just now";
+    if (mins < 60) return `${mins} minute${mins === 1 ? "" : "s"} ago`;
+    const hours = Math.floor(mins / 60);
+    if (hours < 24) return `${hours} hour${hours === 1 ? "" : "s"} ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} day${days === 1 ? "" : "s"} ago`;
+  }
+
+  // fetch() rejects with a TypeError when the request never got an answer
+  function isNetworkError(err) {
+    return !navigator.onLine || err instanceof TypeError;
+  }
+
+  async function apiUndoScore(auditId, extra = {}) {
+    const token = await getAccessToken();
+    if (!token) throw new Error("Not logged in");
+
+    const API_BASE = getApiBase();
+
+    const res = await fetch(`${API_BASE}/api/scores/history`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ auditId, ...extra }),
+    });
+
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw saveError(json, "Undo failed", res.status);
+    return json;
+  }
+
+  async function apiSaveScore(gameId, a, b, tournamentId, extra = {}) {
+    const token = await getAccessToken();
+    if (!token) throw new Error("Not logged in");
+
+    const API_BASE = getApiBase();
+
+    const res = await fetch(`${API_BASE}/api/scores`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ gameId, a, b, tournamentId, ...extra }),
+    });
+
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw saveError(json, "Save failed", res.status);
+    return json;
+  }
+
   // -----------------------------
   // Helpers
   // -----------------------------
-  function pad2(n) {
-    return String(n).padStart(2, "0");
-  }
-
-  function parseTime12h(str) {
-    const m = String(str)
-      .trim()
-      .match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
-    if (!m) throw new Error("Bad time format: " + str);
-    let h = parseInt(m[1], 10);
-    const min = parseInt(m[2], 10);
-    const ap = m[3].toUpperCase();
-    if (ap === "PM" && h !== 12) h += 12;
-    if (ap === "AM" && h === 12) h = 0;
-    return { h, min };
-  }
-
-  function formatTime12h(h24, min) {
-    const ap = h24 >= 12 ? "PM" : "AM";
-    let h = h24 % 12;
-    if (h === 0) h = 12;
-    return `${h}:${pad2(min)} ${ap}`;
-  }
-
-  function addMinutes(timeStr, minsToAdd) {
-    const { h, min } = parseTime12h(timeStr);
-    const total = h * 60 + min + minsToAdd;
-    const h24 = Math.floor(total / 60) % 24;
-    const m = total % 60;
-    return formatTime12h(h24, m);
-  }
-
-  function escapeHtml(s) {
-    return String(s).replace(
-      /[&<>"']/g,
-      (c) =>
-        ({
-          "&": "&amp;",
-          "<": "&lt;",
-          ">": "&gt;",
-          '"': "&quot;",
-          "'": "&#39;",
-        }[c])
-    );
+  // Bracket rules live in bracket.js, shared with the API routes
+  const Bracket = window.AdrenaleBracket;
+  // Offline score queue (outbox.js)
+  const Outbox = window.AdrenaleOutbox;
+  const {
+    STATUSES,
+    bracketSections,
+    computeLockedDays,
+    computeStandings,
+    escapeAttr,
+    escapeHtml,
+    eventToOptions,
+    gameStatus,
+    getWinner,
+    resolveTeamsForGame,
+    roundTitle,
+    teamList,
+    teamReach,
+  } = Bracket;
+
+  function gamesFromOptions(options) {
+    return Bracket.gamesFromOptions({
+      ...options,
+      teams: getTeamsFromAdmin(options.teams, options.teamCount),
+    });
   }
 
-  function escapeAttr(s) {
-    return String(s).replace(/"/g, "&quot;");
+  // Team name -> team id, for adding players from the box score
+  function teamIdsFor(event) {
+    return Object.fromEntries(
+      (event?.teams || []).map((team) => [team.name, team.id])
+    );
   }
 
   // In-memory only
@@ -138,169 +310,75 @@
     return { scores: {} };
   }
 
-  function getTeamsFromAdmin(teamsOverride) {
+  function getTeamsFromAdmin(teamsOverride, teamCount) {
     const adminTeams = Array.isArray(teamsOverride)
       ? teamsOverride
       : Array.isArray(window.TOURNAMENT_TEAMS)
       ? window.TOURNAMENT_TEAMS
       : [];
 
-    const teams = [];
-    for (let i = 0; i < 16; i++)
-      teams.push((adminTeams[i] || `Team ${i + 1}`).trim());
-    return teams;
-  }
-
-  function buildGames(teams, config) {
-    const court = config.courtName || "Dolphins Court";
-    const gap = 60; // 1 hour
-
-    const d1MorningStart = config.day1MorningStart || "8:00 AM";
-    const d1EveningStart = config.day1EveningStart || "4:00 PM";
-    const d2MorningStart = config.day2MorningStart || "9:00 AM";
-    const d2EveningStart = config.day2EveningStart || "5:00 PM";
-    const d3MorningStart = config.day3MorningStart || "10:00 AM";
-    const d3EveningStart = config.day3EveningStart || "5:00 PM";
-
-    // Day 1: 16 teams -> 8 games
-    const day1 = [];
-    for (let i = 0; i < 8; i++) {
-      const tA = teams[i * 2];
-      const tB = teams[i * 2 + 1];
-      const slot = i < 4 ? "Morning" : "Evening";
-      const base = i < 4 ? d1MorningStart : d1EveningStart;
-      const idx = i < 4 ? i : i - 4;
-      day1.push({
-        id: `D1G${i + 1}`,
-        day: "Day 1",
-        timeSlot: slot,
-        hour: addMinutes(base, idx * gap),
-        court,
-        teamA: tA,
-        teamB: tB,
-        dependsOn: [],
-      });
-    }
+    return teamList(adminTeams, teamCount);
+  }
 
-    // Day 2: winners of Day 1
-    const day2 = [
-      {
-        id: "D2G1",
-        day: "Day 2",
-        timeSlot: "Morning",
-        hour: addMinutes(d2MorningStart, 0 * gap),
-        court,
-        dependsOn: ["D1G1", "D1G2"],
-      },
-      {
-        id: "D2G2",
-        day: "Day 2",
-        timeSlot: "Morning",
-        hour: addMinutes(d2MorningStart, 1 * gap),
-        court,
-        dependsOn: ["D1G3", "D1G4"],
-      },
-      {
-        id: "D2G3",
-        day: "Day 2",
-        timeSlot: "Evening",
-        hour: addMinutes(d2EveningStart, 0 * gap),
-        court,
-        dependsOn: ["D1G5", "D1G6"],
-      },
-      {
-        id: "D2G4",
-        day: "Day 2",
-        timeSlot: "Evening",
-        hour: addMinutes(d2EveningStart, 1 * gap),
-        court,
-        dependsOn: ["D1G7", "D1G8"],
-      },
-    ];
+  // teamGameIds: Set of the picked team's games, or null for every team
+  function filterGames(allGames, dayFilter, timeFilter, teamGameIds) {
+    return allGames.filter((g) => {
+      const okDay = dayFilter === "All" || g.day === dayFilter;
+      const okTime = timeFilter === "All" || g.timeSlot === timeFilter;
+      const okTeam = !teamGameIds || teamGameIds.has(g.id);
+      return okDay && okTime && okTeam;
+    });
+  }
 
-    // Day 3: Semis + Final
-    const day3 = [
-      {
-        id: "D3SF1",
-        day: "Day 3",
-        timeSlot: "Morning",
-        hour: addMinutes(d3MorningStart, 0 * gap),
-        court,
-        dependsOn: ["D2G1", "D2G2"],
-        label: "Semifinal 1",
-      },
-      {
-        id: "D3SF2",
-        day: "Day 3",
-        timeSlot: "Evening",
-        hour: addMinutes(d3EveningStart, 0 * gap),
-        court,
-        dependsOn: ["D2G3", "D2G4"],
-        label: "Semifinal 2",
-      },
-      {
-        id: "D3F",
-        day: "Day 3",
-        timeSlot: "Evening",
-        hour: addMinutes(d3EveningStart, 1 * gap),
-        court,
-        dependsOn: ["D3SF1", "D3SF2"],
-        label: "Championship Game",
-      },
-    ];
+  // "My team": kept in localStorage like the theme, shared with the
+  // landing page countdown (script.js)
+  const FOLLOW_KEY = "followedTeam";
 
-    return { day1, day2, day3, all: [...day1, ...day2, ...day3] };
+  function getFollowedTeam() {
+    return localStorage.getItem(FOLLOW_KEY) || null;
   }
 
-  function getWinner(gameId, state) {
-    const s = state.scores?.[gameId];
-    if (!s) return null;
-    const a = Number(s.a);
-    const b = Number(s.b);
-    if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
-    if (a === b) return null;
-    return a > b ? s.teamA : s.teamB;
+  function setFollowedTeam(team) {
+    if (team) localStorage.setItem(FOLLOW_KEY, team);
+    else localStorage.removeItem(FOLLOW_KEY);
   }
 
-  function resolveTeamsForGame(game, state) {
-    if (game.teamA && game.teamB)
-      return { teamA: game.teamA, teamB: game.teamB };
-
-    const [g1, g2] = game.dependsOn || [];
-    const w1 = g1 ? getWinner(g1, state) : null;
-    const w2 = g2 ? getWinner(g2, state) : null;
-
-    const tA = w1 || (g1 ? `Winner ${g1}` : "TBD");
-    const tB = w2 || (g2 ? `Winner ${g2}` : "TBD");
-    return { teamA: tA, teamB: tB };
+  // Teams in bracket order, from the games' fixed slots
+  function teamNames(games) {
+    const names = [];
+    for (const g of games.all)
+      for (const src of g.from || [])
+        if (src.team && !names.includes(src.team)) names.push(src.team);
+    return names;
   }
 
-  function isDayComplete(dayGames, state) {
-    return dayGames.every((g) => {
-      const s = state.scores?.[g.id];
-      if (!s) return false;
-      const a = Number(s.a);
-      const b = Number(s.b);
-      return Number.isFinite(a) && Number.isFinite(b) && a !== b;
-    });
+  // Shareable links to the standalone page (schedule.html, /schedule on
+  // Vercel) and to one game (/game/:id, which has link previews)
+  function scheduleUrl(params, path = "/schedule") {
+    const qs = new URLSearchParams(
+      Object.entries(params).filter(([, v]) => v && v !== "All")
+    ).toString();
+    return `${location.origin}${path}${qs ? `?${qs}` : ""}`;
   }
 
-  function computeLockedDays(games, state) {
-    const day1Complete = isDayComplete(games.day1, state);
-    const day2Complete = isDayComplete(games.day2, state);
-    return {
-      "Day 1": false,
-      "Day 2": !day1Complete,
-      "Day 3": !day2Complete,
-    };
+  function gameUrl(gameId, tournament) {
+    return `${location.origin}/game/${encodeURIComponent(gameId)}${
+      tournament ? `?tournament=${encodeURIComponent(tournament)}` : ""
+    }`;
   }
 
-  function filterGames(allGames, dayFilter, timeFilter) {
-    return allGames.filter((g) => {
-      const okDay = dayFilter === "All" || g.day === dayFilter;
-      const okTime = timeFilter === "All" || g.timeSlot === timeFilter;
-      return okDay && okTime;
-    });
+  async function shareOrCopy(title, url) {
+    try {
+      if (navigator.share) {
+        await navigator.share({ title, url });
+        return "shared";
+      }
+      await navigator.clipboard.writeText(url);
+      return "copied";
+    } catch (e) {
+      // Share sheet dismissed
+      return null;
+    }
   }
 
   // -----------------------------
@@ -354,14 +432,33 @@
   // -----------------------------
   // UI Build
   // -----------------------------
-  function buildUI(container) {
+  function teamOptionsHtml(games) {
+    return [
+      `<option value="All">All Teams</option>`,
+      ...teamNames(games).map(
+        (team) =>
+          `<option value="${escapeAttr(team)}">${escapeHtml(team)}</option>`
+      ),
+    ].join("");
+  }
+
+  function dayOptionsHtml(games) {
+    return [
+      `<option value="All">All Days</option>`,
+      ...games.days.map(
+        (day) =>
+          `<option value="${escapeAttr(day)}">${escapeHtml(day)}</option>`
+      ),
+    ].join("");
+  }
+
+  function buildUI(container, games) {
     container.innerHTML = `
       <div class="schedule-controls" style="display:flex;gap:12px;flex-wrap:wrap;align-items:center;margin-bottom:14px;">
+        <select id="editionFilter" style="display:none;padding:10px 14px;border-radius:999px;border:1px solid #00b931;font-weight:800;"></select>
+
         <select id="dayFilter" style="padding:10px 14px;border-radius:999px;border:1px solid #00b931;font-weight:800;">
-          <option value="All">All Days</option>
-          <option value="Day 1">Day 1</option>
-          <option value="Day 2">Day 2</option>
-          <option value="Day 3">Day 3</option>
+          ${dayOptionsHtml(games)}
         </select>
 
         <select id="timeFilter" style="padding:10px 14px;border-radius:999px;border:1px solid #00b931;font-weight:800;">
@@ -370,10 +467,33 @@
           <option value="Evening">Evening</option>
         </select>
 
+        <select id="teamFilter" style="padding:10px 14px;border-radius:999px;border:1px solid #00b931;font-weight:800;">
+          ${teamOptionsHtml(games)}
+        </select>
+
+        <button id="followTeam" style="padding:10px 14px;border-radius:999px;border:1px solid #f97316;font-weight:900;color:#e5e7eb;background:transparent;cursor:pointer;">
+          ☆ Follow team
+        </button>
+
         <button id="printSchedule" style="padding:10px 14px;border-radius:999px;border:1px solid #00b931;font-weight:900;color:#e5e7eb;background:transparent;cursor:pointer;">
           Print Schedule (PDF)
         </button>
 
+        <select id="exportResults" style="padding:10px 14px;border-radius:999px;border:1px solid #00b931;font-weight:800;">
+          <option value="">Download results…</option>
+          <option value="pdf">Results sheet (PDF)</option>
+          <option value="csv">Spreadsheet (CSV)</option>
+          <option value="json">Data (JSON)</option>
+        </select>
+
+        <button id="calendarFeed" style="padding:10px 14px;border-radius:999px;border:1px solid #00b931;font-weight:900;color:#e5e7eb;background:transparent;cursor:pointer;">
+          Subscribe in Calendar
+        </button>
+
+        <button id="shareView" style="padding:10px 14px;border-radius:999px;border:1px solid #00b931;font-weight:900;color:#e5e7eb;background:transparent;cursor:pointer;">
+          Share this view
+        </button>
+
         <button id="adminLoginBtn" style="padding:10px 14px;border-radius:999px;border:1px solid #00b931;font-weight:900;color:#e5e7eb;background:transparent;cursor:pointer;">
           Admin Login
         </button>
@@ -383,8 +503,11 @@
         </button>
       </div>
 
-      <div id="adminStatus" style="margin:-2px 0 12px 0;font-weight:900;color:#9ca3af;font-size:12px;">
-        Viewing mode: Public (read-only)
+      <div style="display:flex;justify-content:space-between;gap:10px;flex-wrap:wrap;margin:-2px 0 12px 0;font-weight:900;color:#9ca3af;font-size:12px;">
+        <div id="adminStatus">Viewing mode: Public (read-only)</div>
+        <div id="offlineStatus" style="display:none;color:#fbbf24;"></div>
+        <div id="syncStatus" style="display:none;color:#fbbf24;"></div>
+        <div id="liveStatus" style="color:#86efac;"></div>
       </div>
 
       <div id="toast" style="display:none;margin:10px 0;padding:10px 12px;border-radius:14px;border:1px solid rgba(255,255,255,.12);font-weight:900;"></div>
@@ -393,9 +516,24 @@
 
       <div id="scheduleList"></div>
 
-      <div id="day3BracketWrap" style="margin-top:18px;display:none;">
-        <div style="font-weight:1000;margin-bottom:10px;color:#e5e7eb;">Day 3 Bracket</div>
-        <div id="day3Bracket"></div>
+      <div id="standingsWrap" style="margin-top:18px;display:none;">
+        <div style="font-weight:1000;margin-bottom:10px;color:#e5e7eb;">Standings</div>
+        <div id="standings"></div>
+      </div>
+
+      <div id="leadersWrap" style="margin-top:18px;display:none;">
+        <div style="font-weight:1000;margin-bottom:10px;color:#e5e7eb;">Tournament leaders</div>
+        <div id="leaders"></div>
+      </div>
+
+      <div id="bracketWrap" style="margin-top:18px;display:none;">
+        <div style="font-weight:1000;margin-bottom:10px;color:#e5e7eb;">Bracket</div>
+        <div id="bracket"></div>
+      </div>
+
+      <!-- Scorekeeper console (courtside, one game at a time) -->
+      <div id="scorekeeperBackdrop" style="display:none;position:fixed;inset:0;background:#050a12;z-index:9998;overflow:auto;padding:16px;justify-content:center;">
+        <div id="scorekeeper" style="width:min(960px,100%);"></div>
       </div>
 
       <!-- Login Modal -->
@@ -437,165 +575,749 @@
     `;
   }
 
-  function bracketMatch(title, a, b, gameId, state, locked) {
+  // -----------------------------
+  // Game status
+  // -----------------------------
+  const STATUS_STYLES = {
+    scheduled: { label: "Scheduled", color: "#9ca3af" },
+    live: { label: "Live", color: "#f87171" },
+    final: { label: "Final", color: "#86efac" },
+    forfeit: { label: "Forfeit", color: "#fcd34d" },
+    postponed: { label: "Postponed", color: "#fcd34d" },
+    cancelled: { label: "Cancelled", color: "#fca5a5" },
+  };
+
+  function periodLabel(n) {
+    if (n <= 4) return `Q${n}`;
+    return n === 5 ? "OT" : `${n - 4}OT`;
+  }
+
+  function statusBadge(gameId, state) {
+    const status = gameStatus(gameId, state);
+    const { label, color } = STATUS_STYLES[status] || STATUS_STYLES.scheduled;
+    const period = state.scores?.[gameId]?.period;
+    const text =
+      status === "live" && period ? `${label} • ${periodLabel(period)}` : label;
+
+    return `<span style="display:inline-block;padding:2px 8px;border-radius:999px;border:1px solid ${color};color:${color};font-size:11px;font-weight:1000;text-transform:uppercase;letter-spacing:.04em;">${escapeHtml(
+      text
+    )}</span>`;
+  }
+
+  // Entered on this device, not on the server yet (outbox.js)
+  function pendingBadge() {
+    return `<span title="Saved on this device. Syncs when the connection is back." style="display:inline-block;padding:2px 8px;border-radius:999px;border:1px dashed #fbbf24;color:#fbbf24;font-size:11px;font-weight:1000;text-transform:uppercase;letter-spacing:.04em;">Pending</span>`;
+  }
+
+  // Admin-only: status, quarter while live, who won a forfeit
+  function statusControls(gameId, state, teams) {
     const s = state.scores?.[gameId] || {};
-    const aScore = s.a ?? "";
-    const bScore = s.b ?? "";
+    const status = gameStatus(gameId, state);
+    const selectStyle =
+      "padding:6px 8px;border-radius:10px;border:1px solid rgba(0,185,49,.7);font-weight:900;font-size:12px;color:#e5e7eb;background:rgba(0,0,0,.35);";
+    const option = (value, label, selected) =>
+      `<option value="${escapeAttr(value)}" ${
+        selected ? "selected" : ""
+      }>${escapeHtml(label)}</option>`;
 
     return `
-      <div style="border:1px solid rgba(0,185,49,.6);border-radius:16px;padding:12px;background:rgba(12,71,20,.35);">
-        <div style="font-weight:1000;margin-bottom:8px;color:#e5e7eb;">${escapeHtml(
-          title
+      <div style="margin-top:8px;display:flex;gap:8px;flex-wrap:wrap;">
+        <select data-status-game="${escapeAttr(gameId)}" style="${selectStyle}">
+          ${STATUSES.map((st) =>
+            option(st, STATUS_STYLES[st].label, st === status)
+          ).join("")}
+        </select>
+        ${
+          status === "live"
+            ? `<select data-period-game="${escapeAttr(
+                gameId
+              )}" style="${selectStyle}">
+                ${[1, 2, 3, 4, 5, 6]
+                  .map((n) => option(n, periodLabel(n), s.period === n))
+                  .join("")}
+              </select>`
+            : ""
+        }
+        ${
+          status === "forfeit"
+            ? `<select data-forfeit-game="${escapeAttr(
+                gameId
+              )}" style="${selectStyle}">
+                ${option("", "Who wins?", !s.forfeitWinner)}
+                ${option("a", teams.teamA, s.forfeitWinner === "a")}
+                ${option("b", teams.teamB, s.forfeitWinner === "b")}
+              </select>`
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  function resultText(gameId, state, winner) {
+    const status = gameStatus(gameId, state);
+    if (status === "forfeit" && winner)
+      return `Winner: ${escapeHtml(winner)} (forfeit)`;
+    if (winner) return `Winner: ${escapeHtml(winner)}`;
+    if (status === "live") return "In progress.";
+    if (status === "postponed") return "Postponed — new time to be announced.";
+    if (status === "cancelled") return "Cancelled.";
+    return "Enter scores to determine winner (no ties).";
+  }
+
+  // -----------------------------
+  // Scorekeeper console
+  // -----------------------------
+  function formatClock(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+  }
+
+  function scorekeeperHtml(game, teams, sk, clockText) {
+    const bigBtn = (attrs, text) => `
+      <button ${attrs} style="padding:18px 0;border-radius:16px;border:1px solid #00b931;background:rgba(0,185,49,.18);color:#e5e7eb;font-weight:1000;font-size:24px;cursor:pointer;touch-action:manipulation;">
+        ${text}
+      </button>`;
+    const smallBtn = (attrs, text) => `
+      <button ${attrs} style="padding:10px 14px;border-radius:999px;border:1px solid rgba(255,255,255,.18);background:transparent;color:#e5e7eb;font-weight:900;font-size:14px;cursor:pointer;touch-action:manipulation;">
+        ${text}
+      </button>`;
+
+    const side = (key, name) => `
+      <div style="display:grid;gap:12px;text-align:center;padding:14px;border:1px solid rgba(0,185,49,.6);border-radius:18px;background:rgba(12,71,20,.35);">
+        <div style="font-weight:1000;color:#e5e7eb;font-size:18px;">${escapeHtml(
+          name
         )}</div>
+        <div style="font-weight:1000;color:#e5e7eb;font-size:72px;line-height:1;">${
+          sk[key]
+        }</div>
+        <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:8px;">
+          ${[1, 2, 3]
+            .map((n) => bigBtn(`data-sk-points="${key}:${n}"`, `+${n}`))
+            .join("")}
+        </div>
+        ${smallBtn(`data-sk-points="${key}:-1"`, "−1 correction")}
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;color:#9ca3af;font-weight:900;">
+          <span>Fouls: <span style="color:${
+            sk.fouls[key] >= 5 ? "#fca5a5" : "#e5e7eb"
+          };">${sk.fouls[key]}</span></span>
+          ${smallBtn(`data-sk-foul="${key}"`, "+ Foul")}
+        </div>
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;color:#9ca3af;font-weight:900;">
+          <span>Timeouts: <span style="color:#e5e7eb;">${
+            sk.timeouts[key]
+          }</span></span>
+          ${smallBtn(`data-sk-timeout="${key}"`, "+ Timeout")}
+        </div>
+      </div>`;
 
-        <div style="display:grid;gap:8px;">
-          <div style="display:flex;justify-content:space-between;gap:10px;">
-            <div style="font-weight:900;color:#9ca3af;">${escapeHtml(a)}</div>
-            <input ${
-              locked ? "disabled" : ""
-            } data-score-game="${gameId}" data-score-side="a" value="${escapeAttr(
-      aScore
-    )}"
-              inputmode="numeric" placeholder="0"
-              style="width:60px;padding:8px;border:1px solid rgba(0,185,49,.7);border-radius:12px;font-weight:1000;color:#e5e7eb;background:rgba(0,0,0,.25);text-align:center;${
-                locked ? "opacity:.5;cursor:not-allowed;" : ""
-              }">
-          </div>
+    return `
+      <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;margin-bottom:14px;">
+        <div>
+          <div style="font-weight:1000;color:#e5e7eb;font-size:18px;">Scorekeeper • ${escapeHtml(
+            game.label || game.id
+          )}</div>
+          <div style="color:#9ca3af;font-weight:900;font-size:12px;">${escapeHtml(
+            game.day
+          )} • ${escapeHtml(game.hour)} — ${escapeHtml(game.court)}</div>
+        </div>
+        ${smallBtn('data-sk="close"', "✕ Close")}
+      </div>
 
-          <div style="display:flex;justify-content:space-between;gap:10px;">
-            <div style="font-weight:900;color:#9ca3af;">${escapeHtml(b)}</div>
-            <input ${
-              locked ? "disabled" : ""
-            } data-score-game="${gameId}" data-score-side="b" value="${escapeAttr(
-      bScore
-    )}"
-              inputmode="numeric" placeholder="0"
-              style="width:60px;padding:8px;border:1px solid rgba(0,185,49,.7);border-radius:12px;font-weight:1000;color:#e5e7eb;background:rgba(0,0,0,.25);text-align:center;${
-                locked ? "opacity:.5;cursor:not-allowed;" : ""
-              }">
+      <div style="display:grid;grid-template-columns:1fr auto 1fr;gap:14px;align-items:start;">
+        ${side("a", teams.teamA)}
+
+        <div style="display:grid;gap:10px;justify-items:center;min-width:160px;">
+          <div style="display:flex;align-items:center;gap:8px;">
+            ${smallBtn('data-sk="period-prev"', "‹")}
+            <div style="font-weight:1000;color:#e5e7eb;font-size:22px;">${escapeHtml(
+              periodLabel(sk.period)
+            )}</div>
+            ${smallBtn('data-sk="period-next"', "›")}
           </div>
+          <div id="skClock" style="font-weight:1000;color:#fcd34d;font-size:44px;font-variant-numeric:tabular-nums;">${escapeHtml(
+            clockText
+          )}</div>
+          ${smallBtn(
+            'data-sk="clock"',
+            sk.clock.running ? "Stop clock" : "Start clock"
+          )}
+          ${smallBtn('data-sk="clock-reset"', "Reset clock")}
+        </div>
+
+        ${side("b", teams.teamB)}
+      </div>
+
+      <div style="display:flex;justify-content:space-between;align-items:center;gap:12px;margin-top:14px;flex-wrap:wrap;">
+        <div style="color:#9ca3af;font-weight:900;font-size:13px;">${escapeHtml(
+          sk.sync || "Tap a button to go live."
+        )}</div>
+        <div style="display:flex;gap:8px;">
+          ${smallBtn(
+            `data-sk="undo" ${sk.undo.length ? "" : "disabled"}`,
+            "Undo"
+          )}
+          <button data-sk="final" style="padding:10px 16px;border-radius:999px;border:1px solid #00b931;background:#00b931;color:#07110a;font-weight:1000;cursor:pointer;">
+            End game
+          </button>
         </div>
       </div>
     `;
   }
 
-  function renderBracket(games, state, lockedDays, canEdit) {
-    const day3Games = games.day3;
-    const sf1 = day3Games.find((g) => g.id === "D3SF1");
-    const sf2 = day3Games.find((g) => g.id === "D3SF2");
+  // Border for the followed team's games: solid = it plays, dashed = it
+  // could get there
+  function followBorder(gameId, state) {
+    if (state.followed?.confirmed.has(gameId)) return "2px solid #f97316";
+    if (state.followed?.possible.has(gameId)) return "2px dashed #f97316";
+    return "1px solid rgba(0,185,49,.6)";
+  }
 
-    const sf1Teams = resolveTeamsForGame(sf1, state);
-    const sf2Teams = resolveTeamsForGame(sf2, state);
+  // One team line of a bracket box. The winner is bold green, the loser
+  // dimmed; slots still waiting on a result ("Winner D1G1") are italic.
+  function bracketTeam(name, side, gameId, value, { locked, winner, known }) {
+    const color = !known
+      ? "#9ca3af"
+      : !winner
+      ? "#e5e7eb"
+      : winner === name
+      ? "#86efac"
+      : "#6b7280";
 
-    const sf1Winner = getWinner("D3SF1", state) || "TBD";
-    const sf2Winner = getWinner("D3SF2", state) || "TBD";
+    return `
+      <div style="display:flex;justify-content:space-between;align-items:center;gap:10px;">
+        <div style="font-weight:${
+          winner === name ? 1000 : 900
+        };color:${color};${
+      known ? "" : "font-style:italic;"
+    }overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${escapeHtml(
+      name
+    )}</div>
+        <input ${
+          locked ? "disabled" : ""
+        } data-score-game="${gameId}" data-score-side="${side}" value="${escapeAttr(
+      value
+    )}"
+          inputmode="numeric" placeholder="0"
+          style="width:52px;flex:none;padding:6px;border:1px solid rgba(0,185,49,.7);border-radius:10px;font-weight:1000;color:#e5e7eb;background:rgba(0,0,0,.25);text-align:center;${
+            locked ? "opacity:.5;cursor:not-allowed;" : ""
+          }">
+      </div>`;
+  }
 
-    const finalTeams = {
-      teamA: sf1Winner !== "TBD" ? sf1Winner : "Winner D3SF1",
-      teamB: sf2Winner !== "TBD" ? sf2Winner : "Winner D3SF2",
+  function bracketMatch(game, games, state, locked, known) {
+    const s = state.scores?.[game.id] || {};
+    const { teamA, teamB } = resolveTeamsForGame(game, state, games);
+    const opts = {
+      locked,
+      winner: getWinner(game.id, state, games),
     };
-
-    const champ = getWinner("D3F", state) || "TBD";
-    const locked = lockedDays["Day 3"] || !canEdit;
+    const feeders = (game.from || [])
+      .filter((src) => src.winner)
+      .map((src) => src.winner);
 
     return `
-      <div style="display:grid;grid-template-columns:1fr 1fr 1fr;gap:12px;align-items:center;">
-        <div style="display:grid;gap:10px;">
-          ${bracketMatch(
-            "Semifinal 1",
-            sf1Teams.teamA,
-            sf1Teams.teamB,
-            "D3SF1",
-            state,
-            locked
-          )}
-          ${bracketMatch(
-            "Semifinal 2",
-            sf2Teams.teamA,
-            sf2Teams.teamB,
-            "D3SF2",
-            state,
-            locked
-          )}
-        </div>
-
-        <div style="display:grid;gap:10px;justify-items:center;">
-          <div style="font-weight:1000;color:#e5e7eb;">Final</div>
-          ${bracketMatch(
-            "Championship",
-            finalTeams.teamA,
-            finalTeams.teamB,
-            "D3F",
-            state,
-            locked
-          )}
+      <div data-bracket-game="${escapeAttr(
+        game.id
+      )}" data-bracket-from="${escapeAttr(feeders.join(" "))}"
+        style="position:relative;width:230px;border:${followBorder(
+          game.id,
+          state
+        )};border-radius:14px;padding:10px;background:#0c2912;">
+        <div style="display:flex;justify-content:space-between;gap:8px;align-items:center;margin-bottom:6px;">
+          <div style="font-size:11px;font-weight:1000;color:#9ca3af;">${escapeHtml(
+            game.label || game.id
+          )} · ${escapeHtml(game.day)} ${escapeHtml(game.hour)}</div>
+          ${statusBadge(game.id, state)}
         </div>
 
-        <div style="display:grid;gap:10px;justify-items:center;">
-          <div style="font-weight:1000;color:#e5e7eb;">Champion</div>
-          <div style="padding:12px 14px;border:1px solid rgba(0,185,49,.6);border-radius:16px;min-width:220px;text-align:center;font-weight:1000;background:rgba(12,71,20,.35);color:#e5e7eb;">
-            ${escapeHtml(champ)}
-          </div>
+        <div style="display:grid;gap:6px;">
+          ${bracketTeam(teamA, "a", game.id, s.a ?? "", {
+            ...opts,
+            known: known.has(teamA),
+          })}
+          ${bracketTeam(teamB, "b", game.id, s.b ?? "", {
+            ...opts,
+            known: known.has(teamB),
+          })}
         </div>
       </div>
     `;
   }
 
-  function renderGames(listEl, games, state, lockedDays, canEdit) {
-    listEl.innerHTML = games
-      .map((g) => {
-        const teams = resolveTeamsForGame(g, state);
-
-        if (!state.scores[g.id]) {
-          state.scores[g.id] = {
-            teamA: teams.teamA,
-            teamB: teams.teamB,
-            a: "",
-            b: "",
-          };
-        } else {
-          state.scores[g.id].teamA = teams.teamA;
-          state.scores[g.id].teamB = teams.teamB;
+  // Every knockout round, first to last. Lines between games are drawn
+  // after render by drawBracketLines, once the boxes have a position.
+  function renderBracket(games, state, lockedDays, canEditGame) {
+    const isLocked = (g) => lockedDays[g.day] || !canEditGame(g);
+    const known = new Set(teamNames(games));
+    const sections = bracketSections(games);
+    const champ = getWinner(games.final.id, state, games);
+
+    const column = (title, body) => `
+      <div style="display:flex;flex-direction:column;gap:12px;">
+        <div style="font-size:12px;font-weight:1000;color:#9ca3af;text-align:center;">${escapeHtml(
+          title
+        )}</div>
+        <div style="flex:1;display:flex;flex-direction:column;justify-content:space-around;gap:14px;">
+          ${body}
+        </div>
+      </div>`;
+
+    return sections
+      .map(
+        (section, i) => `
+        ${
+          sections.length > 1
+            ? `<div style="font-weight:1000;margin:${
+                i ? "16px" : "0"
+              } 0 8px;color:#e5e7eb;">${escapeHtml(section.name)} bracket</div>`
+            : ""
         }
+        <div style="overflow-x:auto;-webkit-overflow-scrolling:touch;padding-bottom:8px;">
+          <div data-bracket style="position:relative;display:flex;gap:36px;width:max-content;padding:4px;">
+            <svg data-bracket-lines style="position:absolute;inset:0;width:100%;height:100%;pointer-events:none;overflow:visible;"></svg>
+            ${section.rounds
+              .map((round, r) =>
+                column(
+                  roundTitle(round, r),
+                  round
+                    .map((g) =>
+                      bracketMatch(g, games, state, isLocked(g), known)
+                    )
+                    .join("")
+                )
+              )
+              .join("")}
+            ${
+              i === 0
+                ? column(
+                    "Champion",
+                    `<div style="width:200px;padding:12px 14px;border:${
+                      state.followed && champ === state.followed.team
+                        ? "2px solid #f97316"
+                        : "1px solid rgba(0,185,49,.6)"
+                    };border-radius:14px;text-align:center;font-weight:1000;background:#0c2912;color:${
+                      champ ? "#86efac" : "#9ca3af"
+                    };">${escapeHtml(champ || "TBD")}</div>`
+                  )
+                : ""
+            }
+          </div>
+        </div>`
+      )
+      .join("");
+  }
 
-        const locked = lockedDays[g.day] || !canEdit;
+  // Elbow lines from each game to the one its winner plays next. Only
+  // within one bracket section: losers dropping down aren't drawn.
+  function drawBracketLines(root) {
+    for (const wrap of root.querySelectorAll("[data-bracket]")) {
+      const svg = wrap.querySelector("[data-bracket-lines]");
+      const box = wrap.getBoundingClientRect();
+      const paths = [];
+
+      for (const to of wrap.querySelectorAll("[data-bracket-from]")) {
+        const target = to.getBoundingClientRect();
+        for (const id of to.dataset.bracketFrom.split(" ").filter(Boolean)) {
+          const from = wrap.querySelector(
+            `[data-bracket-game="${CSS.escape(id)}"]`
+          );
+          if (!from) continue;
+          const source = from.getBoundingClientRect();
+          const x1 = source.right - box.left;
+          const y1 = source.top + source.height / 2 - box.top;
+          const x2 = target.left - box.left;
+          const y2 = target.top + target.height / 2 - box.top;
+          const mid = (x1 + x2) / 2;
+          paths.push(`M${x1} ${y1}H${mid}V${y2}H${x2}`);
+        }
+      }
 
-        const s = state.scores[g.id] || {};
-        const aScore = s.a ?? "";
-        const bScore = s.b ?? "";
-        const winner = getWinner(g.id, state);
+      svg.innerHTML = paths
+        .map(
+          (d) =>
+            `<path d="${d}" fill="none" stroke="rgba(0,185,49,.6)" stroke-width="2"/>`
+        )
+        .join("");
+    }
+  }
 
-        const label = g.label
-          ? `<div style="font-size:12px;font-weight:1000;color:#9ca3af;">${escapeHtml(
-              g.label
-            )}</div>`
-          : "";
+  function renderStandings(games, state) {
+    const standings = computeStandings(games, state);
+    const th = (label) =>
+      `<th style="padding:6px 8px;text-align:left;font-size:12px;color:#9ca3af;font-weight:900;">${label}</th>`;
+    const td = (value) =>
+      `<td style="padding:6px 8px;font-weight:900;color:#e5e7eb;">${escapeHtml(
+        value
+      )}</td>`;
+
+    return Object.entries(standings)
+      .map(([pool, { table, complete }]) => {
+        const title = games.format === "pools" ? `Pool ${pool}` : "Round Robin";
+        const rows = table
+          .map(
+            (r, i) => `
+              <tr style="border-top:1px solid rgba(255,255,255,.08);">
+                ${td(i + 1)}${td(r.team)}${td(r.w)}${td(r.l)}${td(r.pf)}${td(
+              r.pa
+            )}${td(r.diff > 0 ? `+${r.diff}` : r.diff)}
+              </tr>`
+          )
+          .join("");
 
         return `
-        <div class="game-card" style="border:1px solid rgba(0,185,49,.6);border-radius:16px;padding:14px;margin-bottom:12px;background:rgba(12,71,20,.35);">
-          ${label}
+          <div style="border:1px solid rgba(0,185,49,.6);border-radius:16px;padding:12px;margin-bottom:12px;background:rgba(12,71,20,.35);overflow-x:auto;">
+            <div style="font-weight:1000;margin-bottom:8px;color:#e5e7eb;">
+              ${escapeHtml(title)}${complete ? " — Final" : ""}
+            </div>
+            <table style="width:100%;border-collapse:collapse;">
+              <thead><tr>${th("#")}${th("Team")}${th("W")}${th("L")}${th(
+          "PF"
+        )}${th("PA")}${th("Diff")}</tr></thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>
+        `;
+      })
+      .join("");
+  }
 
-          <div style="display:flex;justify-content:space-between;gap:12px;flex-wrap:wrap;">
-            <div>
-              <div style="font-weight:1000;color:#e5e7eb;">${escapeHtml(
-                teams.teamA
-              )} vs ${escapeHtml(teams.teamB)}</div>
-              <div style="margin-top:6px;color:#9ca3af;font-weight:900;font-size:12px;">
-                ${escapeHtml(g.day)} • ${escapeHtml(g.timeSlot)} • ${escapeHtml(
-          g.hour
-        )} — ${escapeHtml(g.court)}
-              </div>
+  // /api/calendar link; webcal:// makes calendar apps subscribe to the feed
+  // (and keep it updated) instead of importing a one-off copy
+  function calendarUrl(params, subscribe) {
+    const url = `${
+      getApiBase() || location.origin
+    }/api/calendar?${new URLSearchParams(params)}`;
+    return subscribe ? url.replace(/^https?:/, "webcal:") : url;
+  }
+
+  // /api/export download (results sheet, spreadsheet or raw data)
+  function exportUrl(params) {
+    return `${getApiBase() || location.origin}/api/export?${new URLSearchParams(
+      params
+    )}`;
+  }
+
+  // Shareable team.html / player.html pages; plain text when there's no id
+  function profileLink(text, kind, id) {
+    if (!id) return escapeHtml(text);
+    return `<a href="${escapeAttr(
+      `${kind}.html?id=${encodeURIComponent(id)}`
+    )}" target="_blank" style="color:inherit;text-decoration:underline;text-underline-offset:3px;">${escapeHtml(
+      text
+    )}</a>`;
+  }
+
+  const BOX_STATS = [
+    { key: "points", label: "PTS" },
+    { key: "rebounds", label: "REB" },
+    { key: "assists", label: "AST" },
+    { key: "fouls", label: "PF" },
+  ];
+
+  // Per-team tables; admins get inputs plus a quick "add player" row
+  function boxScorePanel(teams, box, teamIds, canEdit) {
+    const cell = "padding:6px 8px;text-align:center;";
+    const inputStyle =
+      "width:48px;padding:6px;border:1px solid rgba(0,185,49,.7);border-radius:10px;font-weight:900;text-align:center;color:#e5e7eb;background:rgba(0,0,0,.25);";
+
+    const teamTable = (teamName) => {
+      const roster = box.players.filter((p) => p.team_name === teamName);
+      const totals = Object.fromEntries(BOX_STATS.map((s) => [s.key, 0]));
+
+      const rows = roster
+        .map((p) => {
+          const line = box.draft[p.id] || {};
+          return `
+            <tr>
+              <td style="${cell}color:#9ca3af;">${escapeHtml(
+            p.jersey ?? ""
+          )}</td>
+              <td style="padding:6px 8px;color:#e5e7eb;">${profileLink(
+                p.name,
+                "player",
+                p.id
+              )}${
+            p.position
+              ? ` <span style="color:#9ca3af;font-size:11px;">${escapeHtml(
+                  p.position
+                )}</span>`
+              : ""
+          }</td>
+              ${BOX_STATS.map((s) => {
+                const v = line[s.key] ?? "";
+                totals[s.key] += Number(v) || 0;
+                return `<td style="${cell}">${
+                  canEdit
+                    ? `<input data-box-player="${escapeAttr(
+                        p.id
+                      )}" data-box-stat="${s.key}" value="${escapeAttr(
+                        v
+                      )}" inputmode="numeric" placeholder="0" style="${inputStyle}">`
+                    : escapeHtml(v === "" ? "0" : v)
+                }</td>`;
+              }).join("")}
+            </tr>`;
+        })
+        .join("");
+
+      const teamId = teamIds[teamName];
+      const addRow =
+        canEdit && teamId
+          ? `<div data-add-player-form style="display:flex;gap:6px;flex-wrap:wrap;margin-top:8px;">
+               <input data-new-player="name" placeholder="Player name" style="${inputStyle}width:140px;text-align:left;">
+               <input data-new-player="jersey" placeholder="#" inputmode="numeric" style="${inputStyle}">
+               <input data-new-player="position" placeholder="Pos" style="${inputStyle}">
+               <button data-add-player="${escapeAttr(teamId)}"
+                 style="padding:6px 10px;border-radius:999px;border:1px solid #00b931;font-weight:900;font-size:12px;color:#e5e7eb;background:transparent;cursor:pointer;">
+                 Add player
+               </button>
+             </div>`
+          : "";
+
+      return `
+        <div style="margin-top:10px;">
+          <div style="font-weight:1000;color:#e5e7eb;margin-bottom:6px;">${escapeHtml(
+            teamName
+          )}</div>
+          ${
+            roster.length
+              ? `<div style="overflow-x:auto;">
+                  <table style="width:100%;border-collapse:collapse;font-size:12px;font-weight:900;">
+                    <thead>
+                      <tr style="color:#9ca3af;">
+                        <th style="${cell}">#</th>
+                        <th style="padding:6px 8px;text-align:left;">Player</th>
+                        ${BOX_STATS.map(
+                          (s) => `<th style="${cell}">${s.label}</th>`
+                        ).join("")}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      ${rows}
+                      <tr style="border-top:1px solid rgba(255,255,255,.12);color:#e5e7eb;">
+                        <td></td>
+                        <td style="padding:6px 8px;">Team</td>
+                        ${BOX_STATS.map(
+                          (s) => `<td style="${cell}">${totals[s.key]}</td>`
+                        ).join("")}
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>`
+              : `<div style="font-size:12px;font-weight:900;color:#9ca3af;">No roster yet.</div>`
+          }
+          ${addRow}
+        </div>`;
+    };
+
+    return `
+      <div style="margin-top:12px;padding:10px 12px;border-radius:12px;background:rgba(0,0,0,.22);">
+        <div style="font-weight:1000;color:#e5e7eb;">Box score</div>
+        ${teamTable(teams.teamA)}
+        ${teamTable(teams.teamB)}
+        ${
+          canEdit
+            ? `<button data-box-save="${escapeAttr(box.gameId)}"
+                 style="margin-top:10px;padding:8px 14px;border-radius:999px;border:1px solid #00b931;background:#00b931;color:#07110a;font-weight:1000;cursor:pointer;">
+                 Save box score
+               </button>`
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  function renderLeaders(leaders) {
+    const boards = [
+      { key: "points", label: "Points" },
+      { key: "rebounds", label: "Rebounds" },
+      { key: "assists", label: "Assists" },
+    ];
+
+    return `
+      <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(220px,1fr));gap:12px;">
+        ${boards
+          .map(({ key, label }) => {
+            const rows = (leaders[key] || [])
+              .map(
+                (p, i) => `
+                  <div style="display:flex;justify-content:space-between;gap:10px;padding:6px 0;border-top:1px solid rgba(255,255,255,.08);">
+                    <div style="color:#e5e7eb;">${i + 1}. ${profileLink(
+                  p.name,
+                  "player",
+                  p.playerId
+                )} <span style="color:#9ca3af;">${escapeHtml(
+                  p.team
+                )}</span></div>
+                    <div style="color:#86efac;">${
+                      p[key]
+                    } <span style="color:#9ca3af;">(${p.avg}/g)</span></div>
+                  </div>`
+              )
+              .join("");
+            return `
+              <div style="border:1px solid rgba(0,185,49,.6);border-radius:16px;padding:12px;background:rgba(12,71,20,.35);font-size:13px;font-weight:900;">
+                <div style="font-weight:1000;color:#e5e7eb;margin-bottom:6px;">${label}</div>
+                ${
+                  rows ||
+                  `<div style="color:#9ca3af;font-size:12px;">No stats yet.</div>`
+                }
+              </div>`;
+          })
+          .join("")}
+      </div>
+    `;
+  }
+
+  function historyPanel(entries) {
+    const scoreText = (a, b, detail) => {
+      const score = a === null || a === undefined ? "" : `${a} - ${b}`;
+      const status =
+        detail?.status && detail.status !== "final"
+          ? STATUS_STYLES[detail.status]?.label || detail.status
+          : "";
+      return [score, status].filter(Boolean).join(" ") || "—";
+    };
+
+    const rows = entries.length
+      ? entries
+          .map(
+            (h) => `
+              <div style="display:flex;justify-content:space-between;gap:10px;align-items:center;padding:8px 0;border-top:1px solid rgba(255,255,255,.08);">
+                <div style="font-size:12px;font-weight:900;color:#9ca3af;">
+                  ${escapeHtml(new Date(h.created_at).toLocaleString())} •
+                  ${escapeHtml(h.user_email || h.user_id)} •
+                  ${escapeHtml(h.action)}:
+                  <span style="color:#e5e7eb;">${escapeHtml(
+                    scoreText(h.old_a, h.old_b, h.old_detail)
+                  )} → ${escapeHtml(
+              scoreText(h.new_a, h.new_b, h.new_detail)
+            )}</span>
+                </div>
+                <button data-undo-audit="${escapeAttr(h.id)}"
+                  style="padding:6px 10px;border-radius:999px;border:1px solid #00b931;font-weight:900;font-size:12px;color:#e5e7eb;background:transparent;cursor:pointer;">
+                  Undo
+                </button>
+              </div>`
+          )
+          .join("")
+      : `<div style="font-size:12px;font-weight:900;color:#9ca3af;">No changes recorded yet.</div>`;
+
+    return `
+      <div style="margin-top:12px;padding:10px 12px;border-radius:12px;background:rgba(0,0,0,.22);">
+        <div style="font-weight:1000;color:#e5e7eb;margin-bottom:4px;">Score history</div>
+        ${rows}
+      </div>
+    `;
+  }
+
+  function renderGames(
+    listEl,
+    allGames,
+    games,
+    state,
+    lockedDays,
+    canEditGame
+  ) {
+    listEl.innerHTML = allGames
+      .map((g) => {
+        const teams = resolveTeamsForGame(g, state, games);
+        const canEdit = canEditGame(g);
+
+        if (!state.scores[g.id]) {
+          state.scores[g.id] = {
+            teamA: teams.teamA,
+            teamB: teams.teamB,
+            a: "",
+            b: "",
+          };
+        } else {
+          state.scores[g.id].teamA = teams.teamA;
+          state.scores[g.id].teamB = teams.teamB;
+        }
+
+        const locked = lockedDays[g.day] || !canEdit;
+
+        const s = state.scores[g.id] || {};
+        const aScore = s.a ?? "";
+        const bScore = s.b ?? "";
+        const winner = getWinner(g.id, state, games);
+
+        // Result was entered for a different matchup (an earlier game changed)
+        const rec = s.recorded;
+        const stale =
+          rec &&
+          (rec.teamA || rec.teamB) &&
+          (rec.teamA !== teams.teamA || rec.teamB !== teams.teamB);
+
+        const label = `
+          <div style="display:flex;justify-content:space-between;gap:8px;align-items:center;">
+            <div style="font-size:12px;font-weight:1000;color:#9ca3af;">${escapeHtml(
+              g.label || ""
+            )}</div>
+            <div style="display:flex;gap:6px;align-items:center;">
+              ${state.pending?.[g.id] ? pendingBadge() : ""}
+              ${statusBadge(g.id, state)}
+            </div>
+          </div>`;
+
+        // Shown when the team filter pulled in a game the team isn't in yet
+        const possibleFor = state.picked?.possible.has(g.id)
+          ? state.picked.team
+          : null;
+
+        return `
+        <div class="game-card${
+          state.flash?.[g.id] > Date.now() ? " game-card--updated" : ""
+        }" data-game-card="${escapeAttr(g.id)}" style="border:${followBorder(
+          g.id,
+          state
+        )};border-radius:16px;padding:14px;margin-bottom:12px;background:rgba(12,71,20,.35);">
+          ${label}
+
+          <div style="display:flex;justify-content:space-between;gap:12px;flex-wrap:wrap;">
+            <div>
+              <div style="font-weight:1000;color:#e5e7eb;">${profileLink(
+                teams.teamA,
+                "team",
+                state.teamIds?.[teams.teamA]
+              )} vs ${profileLink(
+          teams.teamB,
+          "team",
+          state.teamIds?.[teams.teamB]
+        )}</div>
+              <div style="margin-top:6px;color:#9ca3af;font-weight:900;font-size:12px;">
+                ${escapeHtml(g.day)} • ${escapeHtml(g.timeSlot)} • ${escapeHtml(
+          g.hour
+        )} — ${escapeHtml(g.court)}
+              </div>
 
               <div style="margin-top:6px;font-size:13px;font-weight:1000;color:${
                 winner ? "#86efac" : "#9ca3af"
               };">
-                ${
-                  winner
-                    ? `Winner: ${escapeHtml(winner)}`
-                    : "Enter scores to determine winner (no ties)."
-                }
+                ${resultText(g.id, state, winner)}
               </div>
 
+              ${
+                possibleFor
+                  ? `<div style="margin-top:6px;font-size:12px;font-weight:900;color:#fdba74;">
+                     Possible game for ${escapeHtml(
+                       possibleFor
+                     )}, depending on earlier results.
+                   </div>`
+                  : ""
+              }
+
+              ${
+                stale
+                  ? `<div style="margin-top:6px;font-size:12px;font-weight:900;color:#fcd34d;">
+                     Score was entered for ${escapeHtml(
+                       rec.teamA
+                     )} vs ${escapeHtml(rec.teamB)}. Check it.
+                   </div>`
+                  : ""
+              }
+
               ${
                 !lockedDays[g.day] && !canEdit
                   ? `<div style="margin-top:6px;font-size:12px;font-weight:900;color:#fca5a5;">
@@ -603,6 +1325,49 @@
                    </div>`
                   : ""
               }
+
+              ${!locked ? statusControls(g.id, state, teams) : ""}
+
+              ${
+                canEdit
+                  ? `<button data-history-game="${escapeAttr(g.id)}"
+                       style="margin-top:8px;padding:6px 10px;border-radius:999px;border:1px solid #00b931;font-weight:900;font-size:12px;color:#e5e7eb;background:transparent;cursor:pointer;">
+                       ${
+                         state.history?.gameId === g.id
+                           ? "Hide history"
+                           : "History"
+                       }
+                     </button>`
+                  : ""
+              }
+
+              <button data-box-game="${escapeAttr(g.id)}"
+                style="margin-top:8px;padding:6px 10px;border-radius:999px;border:1px solid #00b931;font-weight:900;font-size:12px;color:#e5e7eb;background:transparent;cursor:pointer;">
+                ${
+                  state.boxScore?.gameId === g.id
+                    ? "Hide box score"
+                    : "Box score"
+                }
+              </button>
+
+              <button data-calendar-game="${escapeAttr(g.id)}"
+                style="margin-top:8px;padding:6px 10px;border-radius:999px;border:1px solid #00b931;font-weight:900;font-size:12px;color:#e5e7eb;background:transparent;cursor:pointer;">
+                Add to calendar
+              </button>
+
+              <button data-share-game="${escapeAttr(g.id)}"
+                style="margin-top:8px;padding:6px 10px;border-radius:999px;border:1px solid #00b931;font-weight:900;font-size:12px;color:#e5e7eb;background:transparent;cursor:pointer;">
+                Share
+              </button>
+
+              ${
+                !locked
+                  ? `<button data-scorekeeper-game="${escapeAttr(g.id)}"
+                       style="margin-top:8px;padding:6px 10px;border-radius:999px;border:1px solid #00b931;font-weight:900;font-size:12px;color:#07110a;background:#00b931;cursor:pointer;">
+                       Scorekeeper
+                     </button>`
+                  : ""
+              }
             </div>
 
             <div style="display:flex;gap:10px;align-items:center;">
@@ -623,6 +1388,23 @@
                 }">
             </div>
           </div>
+
+          ${
+            canEdit && state.history?.gameId === g.id
+              ? historyPanel(state.history.entries)
+              : ""
+          }
+
+          ${
+            state.boxScore?.gameId === g.id
+              ? boxScorePanel(
+                  teams,
+                  state.boxScore,
+                  state.teamIds || {},
+                  canEdit
+                )
+              : ""
+          }
         </div>
       `;
       })
@@ -632,15 +1414,22 @@
   // -----------------------------
   // initSchedule
   // -----------------------------
+  // options.view = { day, time, team, game, tournament } opens on that view
+  // (schedule.html reads it from the URL); options.syncUrl keeps the
+  // address bar in step with the filters so the page can be shared as is.
   window.initSchedule = function (
     containerId,
     scheduleData = [],
     options = {}
   ) {
+    const { view = {}, syncUrl = false } = options;
     (async () => {
       const container = document.getElementById(containerId);
       if (!container) return;
 
+      stopRun(container);
+      const run = container.__scheduleRun;
+
       if (!supabaseClient) {
         container.innerHTML = `
           <div style="padding:14px;border:1px solid rgba(239,68,68,.35);background:rgba(239,68,68,.08);border-radius:16px;font-weight:1000;color:#fca5a5;">
@@ -652,34 +1441,111 @@
         return;
       }
 
+      // Event definition comes from the API; fall back to the HTML config
+      let event = null;
+      try {
+        event = await apiFetchEvent();
+      } catch (e) {
+        console.warn(e?.message || e);
+      }
+
       const state = loadState();
-      const teams = getTeamsFromAdmin(options.teams);
-      const games = buildGames(teams, {
-        courtName: options.courtName || "Dolphins Court",
-        day1MorningStart: options.day1MorningStart || "8:00 AM",
-        day1EveningStart: options.day1EveningStart || "4:00 PM",
-        day2MorningStart: options.day2MorningStart || "9:00 AM",
-        day2EveningStart: options.day2EveningStart || "5:00 PM",
-        day3MorningStart: options.day3MorningStart || "10:00 AM",
-        day3EveningStart: options.day3EveningStart || "5:00 PM",
-      });
+      state.teamIds = teamIdsFor(event);
+      const currentTournamentId = event?.tournament?.id || null;
+      let tournamentId = currentTournamentId;
+      let games;
+      try {
+        games = gamesFromOptions({ ...eventToOptions(event), ...options });
+      } catch (err) {
+        container.innerHTML = `
+          <div style="padding:14px;border:1px solid rgba(239,68,68,.35);background:rgba(239,68,68,.08);border-radius:16px;font-weight:1000;color:#fca5a5;">
+            Could not build the schedule: ${escapeHtml(err?.message || err)}
+          </div>`;
+        return;
+      }
 
       let canEdit = false;
+      let editScope = { courts: [], gameIds: [] };
+      const finalized = !!event?.tournament?.finalized_at;
+
+      // Past and finalized editions are browse-only, even for admins
+      function canEditNow() {
+        return canEdit && tournamentId === currentTournamentId && !finalized;
+      }
+
+      function isScopedEditor() {
+        return !!(editScope.courts.length || editScope.gameIds.length);
+      }
+
+      // Scorekeepers only get inputs for their own courts / games
+      function canEditGame(g) {
+        if (!canEditNow()) return false;
+        if (!isScopedEditor()) return true;
+        return (
+          editScope.courts.includes(g.court) || editScope.gameIds.includes(g.id)
+        );
+      }
+
+      // Copies API rows into state; returns the game ids whose score moved.
+      // Games with a queued offline entry keep the local score until it
+      // syncs; only the server's updated_at is taken. A full response
+      // (everything but Realtime rows) also drops saved scores it no longer
+      // has: deleted, undone or cleared by a cascade.
+      function mergeScores(scores, { partial = false } = {}) {
+        const changed = [];
+        if (!partial) {
+          for (const [gameId, s] of Object.entries(state.scores)) {
+            if (scores?.[gameId] || state.pending?.[gameId]) continue;
+            // Unsaved drafts never came from the server
+            if (s.updatedAt === undefined && !s.recorded) continue;
+            delete state.scores[gameId];
+            changed.push(gameId);
+          }
+        }
+        for (const [gameId, s] of Object.entries(scores || {})) {
+          if (!state.scores[gameId])
+            state.scores[gameId] = { a: "", b: "", teamA: "", teamB: "" };
+          if (s.updatedAt !== undefined)
+            state.scores[gameId].updatedAt = s.updatedAt;
+          if (state.pending?.[gameId]) continue;
+          const a = s.a ?? "";
+          const b = s.b ?? "";
+          const status = s.status ?? null;
+          const period = s.period ?? null;
+          if (
+            String(state.scores[gameId].a) !== String(a) ||
+            String(state.scores[gameId].b) !== String(b) ||
+            (state.scores[gameId].status ?? null) !== status ||
+            (state.scores[gameId].period ?? null) !== period
+          )
+            changed.push(gameId);
+          state.scores[gameId].a = a;
+          state.scores[gameId].b = b;
+          state.scores[gameId].status = status;
+          state.scores[gameId].period = period;
+          state.scores[gameId].forfeitWinner = s.forfeitWinner ?? null;
+          if (a === "" && b === "" && !status)
+            state.scores[gameId].recorded = null;
+          else if (s.teamA !== undefined)
+            state.scores[gameId].recorded = { teamA: s.teamA, teamB: s.teamB };
+        }
+        return changed;
+      }
 
       async function refreshCanEditAndScores() {
         try {
-          const remote = await apiFetchScores();
-          canEdit = remote.canEdit;
-
-          for (const [gameId, s] of Object.entries(remote.scores || {})) {
-            if (!state.scores[gameId])
-              state.scores[gameId] = { a: "", b: "", teamA: "", teamB: "" };
-            state.scores[gameId].a = s.a ?? "";
-            state.scores[gameId].b = s.b ?? "";
+          const remote = await apiFetchScores(tournamentId);
+          // An offline copy can't say who may edit now; keep what we had
+          if (!remote.cachedAt) {
+            canEdit = remote.canEdit;
+            editScope = remote.editScope;
           }
+          state.cachedAt = remote.cachedAt;
+          mergeScores(remote.scores);
           return true;
         } catch (e) {
-          canEdit = false;
+          // Dropping offline shouldn't lock a scorekeeper out mid-game
+          if (!isNetworkError(e)) canEdit = false;
           console.warn(e?.message || e);
           return false;
         }
@@ -687,16 +1553,26 @@
 
       const okFetch = await refreshCanEditAndScores();
 
-      buildUI(container);
+      buildUI(container, games);
 
       const list = container.querySelector("#scheduleList");
+      const editionFilterEl = container.querySelector("#editionFilter");
       const dayFilterEl = container.querySelector("#dayFilter");
       const timeFilterEl = container.querySelector("#timeFilter");
+      const teamFilterEl = container.querySelector("#teamFilter");
+      const followBtn = container.querySelector("#followTeam");
       const lockNotice = container.querySelector("#lockNotice");
-      const bracketWrap = container.querySelector("#day3BracketWrap");
-      const bracketEl = container.querySelector("#day3Bracket");
+      const bracketWrap = container.querySelector("#bracketWrap");
+      const bracketEl = container.querySelector("#bracket");
+      const standingsWrap = container.querySelector("#standingsWrap");
+      const standingsEl = container.querySelector("#standings");
+      const leadersWrap = container.querySelector("#leadersWrap");
+      const leadersEl = container.querySelector("#leaders");
 
       const adminStatus = container.querySelector("#adminStatus");
+      const liveStatus = container.querySelector("#liveStatus");
+      const syncStatus = container.querySelector("#syncStatus");
+      const offlineStatus = container.querySelector("#offlineStatus");
       const loginBtn = container.querySelector("#adminLoginBtn");
       const logoutBtn = container.querySelector("#adminLogoutBtn");
 
@@ -707,7 +1583,19 @@
       const loginSubmit = container.querySelector("#loginSubmit");
 
       function updateAdminStatusUI() {
-        if (canEdit) {
+        if (canEdit && !canEditNow()) {
+          adminStatus.textContent =
+            tournamentId === currentTournamentId
+              ? "Viewing mode: Final results (read-only)"
+              : "Viewing mode: Archive (read-only)";
+          loginBtn.style.display = "none";
+          logoutBtn.style.display = "inline-block";
+        } else if (canEdit && isScopedEditor()) {
+          adminStatus.textContent =
+            "Viewing mode: Scorekeeper (you can edit your assigned games)";
+          loginBtn.style.display = "none";
+          logoutBtn.style.display = "inline-block";
+        } else if (canEdit) {
           adminStatus.textContent = "Viewing mode: Admin (you can edit scores)";
           loginBtn.style.display = "none";
           logoutBtn.style.display = "inline-block";
@@ -718,31 +1606,102 @@
         }
       }
 
+      // With "All Teams" picked the button shows (and unfollows) the
+      // followed team
+      function updateFollowButton() {
+        const followed = getFollowedTeam();
+        const picked = teamFilterEl.value;
+        followBtn.textContent =
+          followed && (picked === "All" || picked === followed)
+            ? `★ Following ${followed}`
+            : "☆ Follow team";
+      }
+
+      function toggleFollow() {
+        const followed = getFollowedTeam();
+        const picked = teamFilterEl.value;
+        if (picked === "All" && !followed) {
+          showToast(container, "Pick a team to follow.");
+          return;
+        }
+        if (picked === "All" || picked === followed) {
+          setFollowedTeam(null);
+          showToast(container, `Stopped following ${followed}.`);
+        } else {
+          setFollowedTeam(picked);
+          showToast(
+            container,
+            `Following ${picked}. Their games are highlighted.`,
+            "success"
+          );
+        }
+        render();
+      }
+
+      // Scores from sw.js's offline copy: say how old they are
+      function updateFreshness() {
+        offlineStatus.textContent = state.cachedAt
+          ? `Offline • scores updated ${timeAgo(state.cachedAt)}`
+          : "";
+        offlineStatus.style.display = state.cachedAt ? "block" : "none";
+      }
+
+      let renderPending = false;
+
+      function isEditingScore() {
+        const el = document.activeElement;
+        return (
+          el instanceof HTMLElement &&
+          container.contains(el) &&
+          el.matches("input[data-score-game], input[data-box-player]")
+        );
+      }
+
       async function render() {
+        renderPending = false;
         const lockedDays = computeLockedDays(games, state);
 
         const selectedDay = dayFilterEl.value;
         if (selectedDay !== "All" && lockedDays[selectedDay]) {
+          const prevDay = games.days[games.days.indexOf(selectedDay) - 1];
           lockNotice.style.display = "block";
-          lockNotice.textContent =
-            selectedDay === "Day 2"
-              ? "Day 2 is locked. Complete all Day 1 games (enter scores) to unlock."
-              : "Day 3 is locked. Complete all Day 2 games (enter scores) to unlock.";
+          lockNotice.textContent = `${selectedDay} is locked. Complete all ${prevDay} games (enter scores) to unlock.`;
         } else {
           lockNotice.style.display = "none";
           lockNotice.textContent = "";
         }
 
+        // Picked team: its games plus the bracket games it could still reach
+        const followed = getFollowedTeam();
+        state.followed = teamNames(games).includes(followed)
+          ? { team: followed, ...teamReach(games, state, followed) }
+          : null;
+        const picked = teamFilterEl.value;
+        state.picked =
+          picked === "All"
+            ? null
+            : picked === state.followed?.team
+            ? state.followed
+            : { team: picked, ...teamReach(games, state, picked) };
+        const teamGameIds = state.picked
+          ? new Set([...state.picked.confirmed, ...state.picked.possible])
+          : null;
+        updateFollowButton();
+
         const filtered = filterGames(
           games.all,
           dayFilterEl.value,
-          timeFilterEl.value
+          timeFilterEl.value,
+          teamGameIds
         );
-        renderGames(list, filtered, state, lockedDays, canEdit);
+        renderGames(list, filtered, games, state, lockedDays, canEditGame);
 
+        // Shown from the start (TBD slots and all) on any day with
+        // knockout games
         const showBracket =
-          (dayFilterEl.value === "Day 3" || dayFilterEl.value === "All") &&
-          !lockedDays["Day 3"];
+          !games.final.group &&
+          (dayFilterEl.value === "All" ||
+            games.all.some((g) => !g.group && g.day === dayFilterEl.value));
 
         if (showBracket) {
           bracketWrap.style.display = "block";
@@ -750,14 +1709,37 @@
             games,
             state,
             lockedDays,
-            canEdit
+            canEditGame
           );
+          drawBracketLines(bracketEl);
         } else {
           bracketWrap.style.display = "none";
           bracketEl.innerHTML = "";
         }
 
+        const groupDays = new Set(
+          games.all.filter((g) => g.group).map((g) => g.day)
+        );
+        const showStandings =
+          groupDays.size > 0 &&
+          (dayFilterEl.value === "All" || groupDays.has(dayFilterEl.value));
+
+        if (showStandings) {
+          standingsWrap.style.display = "block";
+          standingsEl.innerHTML = renderStandings(games, state);
+        } else {
+          standingsWrap.style.display = "none";
+          standingsEl.innerHTML = "";
+        }
+
+        const hasLeaders = Object.values(state.leaders || {}).some(
+          (rows) => rows.length
+        );
+        leadersWrap.style.display = hasLeaders ? "block" : "none";
+        leadersEl.innerHTML = hasLeaders ? renderLeaders(state.leaders) : "";
+
         updateAdminStatusUI();
+        updateFreshness();
       }
 
       function openLoginModal() {
@@ -821,7 +1803,7 @@
           if (!canEdit) {
             setLoginMsg(
               container,
-              "Login successful, but you are NOT authorized to edit. Add your Supabase user ID to Vercel env SCORE_ADMIN_USER_IDS.",
+              "Login successful, but you are NOT authorized to edit. Ask a super admin to give you a role on the admin page.",
               "error"
             );
             showToast(container, "Logged in but not authorized.", "error");
@@ -852,17 +1834,371 @@
         await render();
       });
 
-      supabaseClient.auth.onAuthStateChange(async () => {
-        await refreshCanEditAndScores();
+      const { data: authListener } = supabaseClient.auth.onAuthStateChange(
+        async () => {
+          await refreshCanEditAndScores();
+          await render();
+        }
+      );
+
+      // -----------------------------
+      // Live updates (Realtime, polling fallback)
+      // -----------------------------
+      // Realtime needs a public SELECT policy on `scores` for the anon key.
+      const POLL_MS = 15000;
+      let channel = null;
+      let pollTimer = null;
+
+      function setLiveStatus(text) {
+        if (liveStatus) liveStatus.textContent = text;
+      }
+
+      // Re-render right away unless an admin is mid-way through typing
+      function renderLive(changed) {
+        const until = Date.now() + 4000;
+        state.flash = state.flash || {};
+        for (const id of changed) state.flash[id] = until;
+
+        if (isEditingScore()) {
+          renderPending = true;
+          return;
+        }
+        render();
+      }
+
+      async function pollScores() {
+        try {
+          const remote = await apiFetchScores(tournamentId);
+          if (!remote.cachedAt) {
+            canEdit = remote.canEdit;
+            editScope = remote.editScope;
+          }
+          state.cachedAt = remote.cachedAt;
+          updateFreshness();
+          const changed = mergeScores(remote.scores);
+          if (changed.length) renderLive(changed);
+        } catch (e) {
+          console.warn(e?.message || e);
+        }
+      }
+
+      function startPolling() {
+        if (pollTimer) return;
+        pollTimer = setInterval(pollScores, POLL_MS);
+        setLiveStatus(`Auto-refresh every ${POLL_MS / 1000}s`);
+      }
+
+      function stopPolling() {
+        clearInterval(pollTimer);
+        pollTimer = null;
+      }
+
+      function unsubscribeLive() {
+        stopPolling();
+        if (channel) supabaseClient.removeChannel(channel);
+        channel = null;
+      }
+
+      function subscribeLive() {
+        unsubscribeLive();
+        if (typeof supabaseClient.channel !== "function") {
+          startPolling();
+          return;
+        }
+
+        channel = supabaseClient
+          .channel(`scores:${tournamentId || "legacy"}`)
+          .on(
+            "postgres_changes",
+            {
+              event: "*",
+              schema: "public",
+              table: "scores",
+              ...(tournamentId
+                ? { filter: `tournament_id=eq.${tournamentId}` }
+                : {}),
+            },
+            (payload) => {
+              const row = payload.new;
+              if (payload.eventType === "DELETE" || !row?.game_id) {
+                pollScores();
+                return;
+              }
+              const changed = mergeScores(
+                {
+                  [row.game_id]: {
+                    a: row.a,
+                    b: row.b,
+                    status: row.status,
+                    period: row.period,
+                    forfeitWinner: row.forfeit_winner,
+                    teamA: row.team_a,
+                    teamB: row.team_b,
+                    updatedAt: row.updated_at,
+                  },
+                },
+                { partial: true }
+              );
+              if (changed.length) renderLive(changed);
+            }
+          )
+          .subscribe((status) => {
+            if (status === "SUBSCRIBED") {
+              stopPolling();
+              setLiveStatus("● Live");
+              // Catch anything that changed while we were connecting
+              pollScores();
+            } else if (
+              status === "CHANNEL_ERROR" ||
+              status === "TIMED_OUT" ||
+              status === "CLOSED"
+            ) {
+              startPolling();
+            }
+          });
+      }
+
+      // Admin history / undo panel (one game open at a time)
+      async function loadHistory(gameId) {
+        try {
+          const entries = await apiFetchHistory(gameId, tournamentId);
+          state.history = { gameId, entries };
+        } catch (err) {
+          showToast(container, err?.message || "History failed", "error");
+        }
         await render();
-      });
+      }
+
+      // Rosters come with the box score; `draft` holds the admin's edits
+      async function loadBoxScore(gameId) {
+        try {
+          const [players, lines] = await Promise.all([
+            apiFetchPlayers(tournamentId),
+            apiFetchBoxScore(gameId, tournamentId),
+          ]);
+          const draft = {};
+          for (const line of lines) draft[line.player_id] = { ...line };
+          state.boxScore = { gameId, players, draft };
+        } catch (err) {
+          showToast(container, err?.message || "Box score failed", "error");
+        }
+        await render();
+      }
+
+      async function loadLeaders() {
+        if (!tournamentId) return;
+        try {
+          state.leaders = await apiFetchLeaders(tournamentId);
+        } catch (err) {
+          console.warn(err?.message || err);
+        }
+        await render();
+      }
+
+      const onShareClick = async (e) => {
+        const btn =
+          e.target instanceof HTMLElement
+            ? e.target.closest("[data-share-game]")
+            : null;
+        if (!btn) return;
+
+        const gameId = btn.getAttribute("data-share-game");
+        const teams = resolveTeamsForGame(games.byId[gameId], state, games);
+        const done = await shareOrCopy(
+          `${teams.teamA} vs ${teams.teamB}`,
+          gameUrl(
+            gameId,
+            tournamentId !== currentTournamentId ? tournamentId : null
+          )
+        );
+        if (done === "copied") showToast(container, "Link copied.", "success");
+      };
+
+      // Downloads a one-game .ics; phones offer to add it straight away
+      const onCalendarClick = (e) => {
+        const btn =
+          e.target instanceof HTMLElement
+            ? e.target.closest("[data-calendar-game]")
+            : null;
+        if (!btn) return;
+        location.href = calendarUrl({
+          tournament: tournamentId,
+          game: btn.getAttribute("data-calendar-game"),
+        });
+      };
+
+      const onBoxClick = async (e) => {
+        const el = e.target instanceof HTMLElement ? e.target : null;
+        if (!el) return;
+
+        const boxBtn = el.closest("[data-box-game]");
+        if (boxBtn) {
+          const gameId = boxBtn.getAttribute("data-box-game");
+          if (state.boxScore?.gameId === gameId) {
+            state.boxScore = null;
+            await render();
+          } else {
+            await loadBoxScore(gameId);
+          }
+          return;
+        }
+
+        if (!canEditNow() || !state.boxScore) return;
+
+        const saveBtn = el.closest("[data-box-save]");
+        if (saveBtn) {
+          const { gameId, draft } = state.boxScore;
+          // Only players who actually have a line are sent
+          const lines = Object.entries(draft)
+            .filter(([, line]) =>
+              BOX_STATS.some((s) => String(line[s.key] ?? "") !== "")
+            )
+            .map(([playerId, line]) => ({
+              playerId,
+              ...Object.fromEntries(
+                BOX_STATS.map((s) => [s.key, Number(line[s.key]) || 0])
+              ),
+            }));
+
+          saveBtn.disabled = true;
+          try {
+            await apiSaveBoxScore(gameId, lines, tournamentId);
+            showToast(container, "Box score saved.", "success");
+            await loadLeaders();
+          } catch (err) {
+            showToast(container, err?.message || "Save failed", "error");
+            saveBtn.disabled = false;
+          }
+          return;
+        }
+
+        const addBtn = el.closest("[data-add-player]");
+        if (addBtn) {
+          const form = addBtn.closest("[data-add-player-form]");
+          const field = (name) =>
+            form.querySelector(`[data-new-player="${name}"]`).value.trim();
+          if (!field("name")) {
+            showToast(container, "Enter the player's name.", "error");
+            return;
+          }
+
+          addBtn.disabled = true;
+          try {
+            await apiSavePlayer({
+              teamId: addBtn.getAttribute("data-add-player"),
+              name: field("name"),
+              jersey: field("jersey"),
+              position: field("position"),
+            });
+            state.boxScore.players = await apiFetchPlayers(tournamentId);
+            await render();
+          } catch (err) {
+            showToast(container, err?.message || "Save failed", "error");
+            addBtn.disabled = false;
+          }
+        }
+      };
 
-      container.addEventListener("input", async (e) => {
+      // Typing only updates the draft; re-rendering would steal focus
+      const onBoxInput = (e) => {
+        const el = e.target;
+        if (!(el instanceof HTMLInputElement)) return;
+        if (!el.matches("input[data-box-player][data-box-stat]")) return;
+        if (!state.boxScore) return;
+
+        el.value = String(el.value || "").replace(/[^\d]/g, "");
+        const playerId = el.getAttribute("data-box-player");
+        const draft = (state.boxScore.draft[playerId] =
+          state.boxScore.draft[playerId] || {});
+        draft[el.getAttribute("data-box-stat")] = el.value;
+      };
+
+      // Runs a save/undo; if later results depend on it, asks before
+      // clearing them and retries
+      async function withCascade(send) {
+        try {
+          return await send({});
+        } catch (err) {
+          if (!err?.affected?.length) throw err;
+          const ok = window.confirm(
+            `This changes who plays in ${err.affected.join(
+              ", "
+            )}. Their scores will be cleared. Continue?`
+          );
+          if (!ok) {
+            await refreshCanEditAndScores();
+            return null;
+          }
+          const result = await send({ cascade: "clear" });
+          // Gone on the server; don't let them feed the bracket meanwhile
+          for (const gameId of result?.cleared || []) {
+            if (!state.pending?.[gameId]) delete state.scores[gameId];
+          }
+          await refreshCanEditAndScores();
+          return result;
+        }
+      }
+
+      const onHistoryClick = async (e) => {
+        const el = e.target instanceof HTMLElement ? e.target : null;
+        if (!el || !canEditNow()) return;
+
+        const historyBtn = el.closest("[data-history-game]");
+        if (historyBtn) {
+          const gameId = historyBtn.getAttribute("data-history-game");
+          if (state.history?.gameId === gameId) {
+            state.history = null;
+            await render();
+          } else {
+            await loadHistory(gameId);
+          }
+          return;
+        }
+
+        const undoBtn = el.closest("[data-undo-audit]");
+        if (undoBtn) {
+          undoBtn.disabled = true;
+          try {
+            const auditId = undoBtn.getAttribute("data-undo-audit");
+            const restored = await withCascade((extra) =>
+              apiUndoScore(auditId, extra)
+            );
+            if (!restored) {
+              undoBtn.disabled = false;
+              await render();
+              return;
+            }
+            mergeScores(
+              {
+                [restored.gameId]: {
+                  a: restored.a,
+                  b: restored.b,
+                  status: restored.status,
+                  period: restored.period,
+                  forfeitWinner: restored.forfeitWinner,
+                },
+              },
+              { partial: true }
+            );
+            showToast(container, "Score restored.", "success");
+            await loadHistory(restored.gameId);
+          } catch (err) {
+            showToast(container, err?.message || "Undo failed", "error");
+            undoBtn.disabled = false;
+          }
+        }
+      };
+
+      const onFocusOut = () => {
+        if (renderPending) setTimeout(() => !isEditingScore() && render(), 0);
+      };
+
+      const onScoreInput = async (e) => {
         const el = e.target;
         if (!(el instanceof HTMLElement)) return;
         if (!el.matches("input[data-score-game][data-score-side]")) return;
 
-        if (!canEdit) {
+        if (!canEditNow()) {
           await render();
           return;
         }
@@ -882,7 +2218,7 @@
         }
 
         if (!state.scores[gameId]) {
-          const teamsNow = resolveTeamsForGame(game, state);
+          const teamsNow = resolveTeamsForGame(game, state, games);
           state.scores[gameId] = {
             teamA: teamsNow.teamA,
             teamB: teamsNow.teamB,
@@ -891,35 +2227,724 @@
           };
         }
 
-        const teamsNow = resolveTeamsForGame(game, state);
+        const teamsNow = resolveTeamsForGame(game, state, games);
         state.scores[gameId].teamA = teamsNow.teamA;
         state.scores[gameId].teamB = teamsNow.teamB;
 
         state.scores[gameId][side] = val;
 
-        const aVal = state.scores[gameId].a;
-        const bVal = state.scores[gameId].b;
+        const s = state.scores[gameId];
+        const aVal = s.a;
+        const bVal = s.b;
+
+        // A running score (or a forfeit's) can be level; anything else
+        // becomes final once the two numbers differ
+        const keepsStatus = s.status === "live" || s.status === "forfeit";
+        if (
+          aVal !== "" &&
+          bVal !== "" &&
+          (keepsStatus || Number(aVal) !== Number(bVal))
+        ) {
+          if (!keepsStatus) s.status = "final";
+          await saveGame(gameId);
+        }
 
-        if (aVal !== "" && bVal !== "" && Number(aVal) !== Number(bVal)) {
-          try {
-            await apiSaveScore(gameId, Number(aVal), Number(bVal));
-            showToast(container, "Score saved.", "success");
-          } catch (err) {
-            showToast(container, err?.message || "Save failed", "error");
-            await refreshCanEditAndScores();
+        await render();
+      };
+
+      const onStatusChange = async (e) => {
+        const el = e.target;
+        if (!(el instanceof HTMLSelectElement)) return;
+        const gameId =
+          el.getAttribute("data-status-game") ||
+          el.getAttribute("data-period-game") ||
+          el.getAttribute("data-forfeit-game");
+        if (!gameId || !canEditNow()) return;
+
+        if (!state.scores[gameId])
+          state.scores[gameId] = { a: "", b: "", teamA: "", teamB: "" };
+        const s = state.scores[gameId];
+
+        if (el.hasAttribute("data-status-game")) {
+          s.status = el.value;
+          if (s.status === "live" && !s.period) s.period = 1;
+        } else if (el.hasAttribute("data-period-game")) {
+          s.period = Number(el.value);
+        } else {
+          s.forfeitWinner = el.value || null;
+        }
+
+        // Wait for the rest of what this status needs before saving
+        const waiting =
+          (s.status === "forfeit" && !s.forfeitWinner) ||
+          ((s.status === "final" || s.status === "live") &&
+            (s.a === "" || s.b === ""));
+        if (!waiting) await saveGame(gameId);
+
+        await render();
+      };
+
+      function scoreOrNull(v) {
+        return v === "" || v === null || v === undefined ? null : Number(v);
+      }
+
+      // Returns { ok, message }; `quiet` skips the toasts (scorekeeper console
+      // shows its own sync line)
+      async function saveGame(gameId, { quiet = false } = {}) {
+        const s = state.scores[gameId];
+        const a = scoreOrNull(s.a);
+        const b = scoreOrNull(s.b);
+        const detail = {
+          status: s.status || "final",
+          period: s.status === "live" ? s.period ?? null : null,
+          forfeitWinner: s.status === "forfeit" ? s.forfeitWinner : null,
+        };
+
+        const problem = Bracket.scoreWriteError(
+          games,
+          state,
+          gameId,
+          a,
+          b,
+          detail
+        );
+        if (problem) {
+          if (!quiet) showToast(container, problem, "error");
+          return { ok: false, message: problem };
+        }
+
+        try {
+          const saved = await withCascade((extra) =>
+            apiSaveScore(gameId, a, b, tournamentId, { ...detail, ...extra })
+          );
+          if (!saved) return { ok: false, message: "Not saved" };
+          if (!quiet) showToast(container, "Score saved.", "success");
+          if (saved.updatedAt !== undefined) s.updatedAt = saved.updatedAt;
+          // Unplayed games don't keep a score
+          if (["scheduled", "postponed", "cancelled"].includes(detail.status)) {
+            s.a = "";
+            s.b = "";
+          }
+          if (state.pending?.[gameId]) await dropPending(tournamentId, gameId);
+          if (state.history?.gameId === gameId) await loadHistory(gameId);
+          return { ok: true, message: "" };
+        } catch (err) {
+          if (isNetworkError(err))
+            return queueScore(gameId, a, b, detail, quiet);
+          const message = err?.message || "Save failed";
+          if (!quiet) showToast(container, message, "error");
+          await refreshCanEditAndScores();
+          return { ok: false, message };
+        }
+      }
+
+      // -----------------------------
+      // Offline scoring (outbox.js, sw.js)
+      // -----------------------------
+      const RETRY_MS = 30000;
+      let flushing = false;
+      let retryTimer = null;
+
+      function updateSyncStatus(text) {
+        const count = Object.keys(state.pending || {}).length;
+        syncStatus.textContent =
+          text ||
+          (count === 1
+            ? "1 score waiting to sync"
+            : `${count} scores waiting to sync`);
+        syncStatus.style.display = text || count ? "block" : "none";
+      }
+
+      // Queued entries for the edition on screen go back over what the
+      // server sent (e.g. after reloading the page offline)
+      async function loadPending() {
+        let entries = [];
+        try {
+          entries = await Outbox.list(tournamentId);
+        } catch (e) {
+          console.warn(e?.message || e);
+        }
+        state.pending = {};
+        for (const entry of entries) {
+          state.pending[entry.gameId] = entry;
+          state.scores[entry.gameId] = {
+            ...(state.scores[entry.gameId] || { teamA: "", teamB: "" }),
+            a: entry.a ?? "",
+            b: entry.b ?? "",
+            ...entry.detail,
+          };
+        }
+        updateSyncStatus();
+      }
+
+      async function dropPending(entryTournamentId, gameId) {
+        try {
+          await Outbox.remove(entryTournamentId, gameId);
+        } catch (e) {
+          console.warn(e?.message || e);
+        }
+        if (entryTournamentId === tournamentId && state.pending)
+          delete state.pending[gameId];
+        updateSyncStatus();
+      }
+
+      // sw.js relays Background Sync ("connection is back") to open pages
+      function requestBackgroundSync() {
+        if (!("serviceWorker" in navigator)) return;
+        navigator.serviceWorker.ready
+          .then((reg) => reg.sync?.register("score-outbox"))
+          .catch(() => {});
+      }
+
+      // saveGame's fallback when the request never reached the server
+      async function queueScore(gameId, a, b, detail, quiet) {
+        const s = state.scores[gameId];
+        try {
+          const entry = await Outbox.add({
+            tournamentId,
+            gameId,
+            a,
+            b,
+            detail,
+            expectedUpdatedAt: s.updatedAt ?? null,
+          });
+          state.pending = { ...(state.pending || {}), [gameId]: entry };
+        } catch (err) {
+          const message = err?.message || "Save failed";
+          if (!quiet) showToast(container, message, "error");
+          return { ok: false, message };
+        }
+
+        if (["scheduled", "postponed", "cancelled"].includes(detail.status)) {
+          s.a = "";
+          s.b = "";
+        }
+        updateSyncStatus();
+        requestBackgroundSync();
+        if (!quiet)
+          showToast(
+            container,
+            "No connection. Score saved on this device; it will sync when you're back online."
+          );
+        return { ok: true, pending: true, message: "" };
+      }
+
+      function scoreText(score) {
+        if (!score) return "no score";
+        const { a, b, status } = score;
+        const text = a === null || a === undefined ? "no score" : `${a}-${b}`;
+        return status && status !== "final" ? `${text} (${status})` : text;
+      }
+
+      // Worth another try: the server or the login failed, not the score
+      function isRetryable(err) {
+        return !err.status || err.status === 401 || err.status >= 500;
+      }
+
+      // "sent", "dropped" (rejected as invalid, or the user kept the
+      // server's score), "offline" or "retry" (keep it and try again later)
+      async function replayEntry(entry, expectedUpdatedAt) {
+        try {
+          const saved = await withCascade((extra) =>
+            apiSaveScore(entry.gameId, entry.a, entry.b, entry.tournamentId, {
+              ...entry.detail,
+              expectedUpdatedAt,
+              ...extra,
+            })
+          );
+          await dropPending(entry.tournamentId, entry.gameId);
+          return saved ? "sent" : "dropped";
+        } catch (err) {
+          if (isNetworkError(err)) return "offline";
+          if (!err.conflict && isRetryable(err)) return "retry";
+          if (err.conflict) {
+            const replace = window.confirm(
+              `${
+                entry.gameId
+              } was changed by someone else while you were offline (server: ${scoreText(
+                err.current
+              )}). Replace it with your ${scoreText({
+                a: entry.a,
+                b: entry.b,
+                status: entry.detail.status,
+              })}?`
+            );
+            if (replace)
+              return replayEntry(entry, err.current?.updatedAt ?? null);
+          } else {
+            showToast(
+              container,
+              `${entry.gameId} could not be synced: ${err.message}`,
+              "error"
+            );
           }
+          await dropPending(entry.tournamentId, entry.gameId);
+          return "dropped";
         }
+      }
 
+      // Oldest first; stops at the first entry that can't be sent yet and
+      // waits for the next try (online event, Background Sync or the retry
+      // timer)
+      async function flushOutbox() {
+        if (flushing || !navigator.onLine) return;
+        flushing = true;
+        try {
+          const entries = await Outbox.list();
+          if (!entries.length) return;
+          if (!(await getAccessToken())) {
+            updateSyncStatus("Log in to sync scores saved offline");
+            return;
+          }
+
+          let sent = 0;
+          let stalled = false;
+          for (const entry of entries) {
+            const result = await replayEntry(entry, entry.expectedUpdatedAt);
+            if (result === "offline") break;
+            if (result === "retry") {
+              stalled = true;
+              break;
+            }
+            if (result === "sent") sent++;
+          }
+          if (sent)
+            showToast(
+              container,
+              sent === 1
+                ? "1 offline score synced."
+                : `${sent} offline scores synced.`,
+              "success"
+            );
+
+          await refreshCanEditAndScores();
+          await loadPending();
+          if (stalled)
+            updateSyncStatus(
+              "Scores saved offline couldn't sync yet. Retrying shortly."
+            );
+          await render();
+        } catch (e) {
+          console.warn(e?.message || e);
+        } finally {
+          flushing = false;
+        }
+      }
+
+      const onWorkerMessage = (e) => {
+        if (e.data?.type === "flush-outbox") flushOutbox();
+      };
+
+      // -----------------------------
+      // Scorekeeper console
+      // -----------------------------
+      const skBackdrop = container.querySelector("#scorekeeperBackdrop");
+      const skPanel = container.querySelector("#scorekeeper");
+      const periodMs =
+        (Number(
+          options.periodMinutes ?? event?.tournament?.settings?.periodMinutes
+        ) || 10) * 60000;
+
+      let sk = null;
+      let skTimer = null;
+      let skPushTimer = null;
+      let skSaving = null; // the live save in flight
+
+      // Team fouls and timeouts aren't sent to the server; they're kept on
+      // this device so closing the console or reloading doesn't reset them
+      const tallyKey = (gameId) =>
+        `scorekeeper:${tournamentId || "legacy"}:${gameId}`;
+
+      function loadTally(gameId) {
+        try {
+          return JSON.parse(localStorage.getItem(tallyKey(gameId)));
+        } catch (e) {
+          return null;
+        }
+      }
+
+      function saveTally() {
+        localStorage.setItem(
+          tallyKey(sk.gameId),
+          JSON.stringify({
+            period: sk.period,
+            fouls: sk.fouls,
+            timeouts: sk.timeouts,
+          })
+        );
+      }
+
+      function clockRemaining() {
+        const { remaining, running, since } = sk.clock;
+        return running ? remaining - (Date.now() - since) : remaining;
+      }
+
+      function renderScorekeeper() {
+        if (!sk) return;
+        const game = games.byId[sk.gameId];
+        skPanel.innerHTML = scorekeeperHtml(
+          game,
+          resolveTeamsForGame(game, state, games),
+          sk,
+          formatClock(clockRemaining())
+        );
+      }
+
+      function tickClock() {
+        if (!sk?.clock.running) return;
+        const left = clockRemaining();
+        if (left <= 0) {
+          sk.clock = { remaining: 0, running: false, since: 0 };
+          renderScorekeeper();
+          return;
+        }
+        const el = skPanel.querySelector("#skClock");
+        if (el) el.textContent = formatClock(left);
+      }
+
+      function openScorekeeper(gameId) {
+        const s = state.scores[gameId] || {};
+        const period = s.period || 1;
+        const tally = loadTally(gameId);
+        sk = {
+          gameId,
+          a: Number(s.a) || 0,
+          b: Number(s.b) || 0,
+          period,
+          // Team fouls start over each period
+          fouls: tally?.period === period ? { ...tally.fouls } : { a: 0, b: 0 },
+          timeouts: tally ? { ...tally.timeouts } : { a: 0, b: 0 },
+          clock: { remaining: periodMs, running: false, since: 0 },
+          undo: [],
+          sync: "",
+        };
+        skBackdrop.style.display = "flex";
+        renderScorekeeper();
+        clearInterval(skTimer);
+        skTimer = setInterval(tickClock, 250);
+      }
+
+      async function closeScorekeeper() {
+        if (skPushTimer) {
+          clearTimeout(skPushTimer);
+          await pushLive();
+        }
+        clearInterval(skTimer);
+        skTimer = null;
+        sk = null;
+        skBackdrop.style.display = "none";
+        skPanel.innerHTML = "";
+      }
+
+      // Every tap goes on the undo stack (fouls/timeouts included)
+      function snapshot() {
+        sk.undo.push({
+          a: sk.a,
+          b: sk.b,
+          period: sk.period,
+          fouls: { ...sk.fouls },
+          timeouts: { ...sk.timeouts },
+        });
+        if (sk.undo.length > 200) sk.undo.shift();
+      }
+
+      // Batches quick taps into one write
+      function queuePush() {
+        sk.sync = "Saving…";
+        clearTimeout(skPushTimer);
+        skPushTimer = setTimeout(pushLive, 400);
+      }
+
+      async function pushLive() {
+        skPushTimer = null;
+        if (!sk || sk.finishing) return;
+        if (skSaving) {
+          skPushTimer = setTimeout(pushLive, 400);
+          return;
+        }
+
+        const { gameId } = sk;
+        if (!state.scores[gameId])
+          state.scores[gameId] = { a: "", b: "", teamA: "", teamB: "" };
+        Object.assign(state.scores[gameId], {
+          a: sk.a,
+          b: sk.b,
+          status: "live",
+          period: sk.period,
+        });
+        skSaving = saveGame(gameId, { quiet: true });
+        const result = await skSaving;
+        skSaving = null;
+
+        if (sk?.gameId === gameId) {
+          sk.sync = result.pending
+            ? "Offline • will sync"
+            : result.ok
+            ? "Live • saved"
+            : result.message;
+          renderScorekeeper();
+        }
+        await render();
+      }
+
+      async function finishGame() {
+        if (sk.a === sk.b) {
+          sk.sync = "No ties allowed";
+          renderScorekeeper();
+          return;
+        }
+        if (!window.confirm(`End the game at ${sk.a} - ${sk.b}?`)) return;
+
+        clearTimeout(skPushTimer);
+        skPushTimer = null;
+        // A live save landing after the final would reopen the game
+        sk.finishing = true;
+        while (skSaving) await skSaving;
+        if (!sk) return;
+        const { gameId } = sk;
+        if (!state.scores[gameId])
+          state.scores[gameId] = { a: "", b: "", teamA: "", teamB: "" };
+        Object.assign(state.scores[gameId], {
+          a: sk.a,
+          b: sk.b,
+          status: "final",
+          period: null,
+        });
+
+        const result = await saveGame(gameId, { quiet: true });
+        if (!result.ok) {
+          sk.finishing = false;
+          sk.sync = result.message;
+          renderScorekeeper();
+          return;
+        }
+        localStorage.removeItem(tallyKey(gameId));
+        await closeScorekeeper();
+        showToast(
+          container,
+          result.pending
+            ? "No connection. Final score saved on this device."
+            : "Final score saved.",
+          "success"
+        );
+        await render();
+      }
+
+      const onScorekeeperClick = async (e) => {
+        const el = e.target instanceof HTMLElement ? e.target : null;
+        if (!el) return;
+
+        const openBtn = el.closest("[data-scorekeeper-game]");
+        if (openBtn) {
+          if (canEditNow())
+            openScorekeeper(openBtn.getAttribute("data-scorekeeper-game"));
+          return;
+        }
+        if (!sk || !skPanel.contains(el)) return;
+
+        const pointsBtn = el.closest("[data-sk-points]");
+        const foulBtn = el.closest("[data-sk-foul]");
+        const timeoutBtn = el.closest("[data-sk-timeout]");
+        const action = el.closest("[data-sk]")?.getAttribute("data-sk");
+
+        if (pointsBtn) {
+          const [side, n] = pointsBtn.getAttribute("data-sk-points").split(":");
+          snapshot();
+          sk[side] = Math.max(0, sk[side] + Number(n));
+          queuePush();
+        } else if (foulBtn) {
+          snapshot();
+          sk.fouls[foulBtn.getAttribute("data-sk-foul")]++;
+        } else if (timeoutBtn) {
+          snapshot();
+          sk.timeouts[timeoutBtn.getAttribute("data-sk-timeout")]++;
+        } else if (action === "period-next" || action === "period-prev") {
+          const period = sk.period + (action === "period-next" ? 1 : -1);
+          if (period < 1) return;
+          snapshot();
+          sk.period = period;
+          // Team fouls and the clock start over each period
+          sk.fouls = { a: 0, b: 0 };
+          sk.clock = { remaining: periodMs, running: false, since: 0 };
+          queuePush();
+        } else if (action === "clock") {
+          if (sk.clock.running) {
+            sk.clock = {
+              remaining: clockRemaining(),
+              running: false,
+              since: 0,
+            };
+          } else if (sk.clock.remaining > 0) {
+            sk.clock = { ...sk.clock, running: true, since: Date.now() };
+          }
+        } else if (action === "clock-reset") {
+          sk.clock = { remaining: periodMs, running: false, since: 0 };
+        } else if (action === "undo") {
+          const prev = sk.undo.pop();
+          if (!prev) return;
+          Object.assign(sk, prev);
+          queuePush();
+        } else if (action === "final") {
+          await finishGame();
+          return;
+        } else if (action === "close") {
+          await closeScorekeeper();
+          return;
+        } else {
+          return;
+        }
+
+        saveTally();
+        renderScorekeeper();
+      };
+
+      container.addEventListener("focusout", onFocusOut);
+      container.addEventListener("click", onHistoryClick);
+      container.addEventListener("input", onScoreInput);
+      container.addEventListener("change", onStatusChange);
+      container.addEventListener("click", onScorekeeperClick);
+      container.addEventListener("click", onBoxClick);
+      container.addEventListener("click", onCalendarClick);
+      container.addEventListener("click", onShareClick);
+      container.addEventListener("input", onBoxInput);
+
+      // Archive: every edition can be browsed from the same modal
+      async function loadEditions() {
+        try {
+          const editions = await apiFetchTournaments();
+          if (editions.length < 2) return;
+
+          editionFilterEl.innerHTML = editions
+            .map(
+              (t) =>
+                `<option value="${escapeAttr(t.id)}">${escapeHtml(t.name)}${
+                  t.id === currentTournamentId ? " (current)" : ""
+                }</option>`
+            )
+            .join("");
+          editionFilterEl.value = tournamentId || "";
+          editionFilterEl.style.display = "inline-block";
+        } catch (e) {
+          console.warn(e?.message || e);
+        }
+      }
+
+      async function switchEdition(id) {
+        try {
+          const next =
+            id === currentTournamentId ? event : await apiFetchEvent(id);
+          const nextOptions =
+            id === currentTournamentId
+              ? { ...eventToOptions(next), ...options }
+              : eventToOptions(next);
+
+          tournamentId = id;
+          games = gamesFromOptions(nextOptions);
+          state.scores = {};
+          state.history = null;
+          state.boxScore = null;
+          state.leaders = null;
+          state.teamIds = teamIdsFor(next);
+          dayFilterEl.innerHTML = dayOptionsHtml(games);
+          teamFilterEl.innerHTML = teamOptionsHtml(games);
+          loadLeaders();
+
+          const ok = await refreshCanEditAndScores();
+          if (!ok)
+            showToast(container, "Failed to load that edition.", "error");
+          await loadPending();
+          subscribeLive();
+        } catch (err) {
+          showToast(container, err?.message || "Failed to load", "error");
+          editionFilterEl.value = tournamentId || "";
+        }
         await render();
+      }
+
+      function currentView() {
+        return {
+          tournament:
+            tournamentId !== currentTournamentId ? tournamentId : null,
+          day: dayFilterEl.value,
+          time: timeFilterEl.value,
+          team: teamFilterEl.value,
+        };
+      }
+
+      // replaceState: filter changes shouldn't pile up in the back button
+      function updateUrl() {
+        if (!syncUrl) return;
+        history.replaceState(
+          null,
+          "",
+          scheduleUrl(currentView(), location.pathname)
+        );
+      }
+
+      function onFilterChange() {
+        updateUrl();
+        render();
+      }
+
+      // Unknown values (an old link, a renamed team) fall back to "All"
+      function setFilter(el, value) {
+        if (!value) return;
+        el.value = value;
+        if (el.value !== value) el.value = "All";
+      }
+
+      // Box positions move with the layout; redraw the connector lines
+      function onResize() {
+        drawBracketLines(bracketEl);
+      }
+
+      // Puts one game on screen and flashes it
+      function focusGame(gameId) {
+        const game = games.byId[gameId];
+        if (!game) return;
+        dayFilterEl.value = game.day;
+        timeFilterEl.value = "All";
+        teamFilterEl.value = "All";
+        state.flash = { ...(state.flash || {}), [gameId]: Date.now() + 4000 };
+      }
+
+      editionFilterEl.addEventListener("change", async () => {
+        await switchEdition(editionFilterEl.value);
+        updateUrl();
       });
+      dayFilterEl.addEventListener("change", onFilterChange);
+      timeFilterEl.addEventListener("change", onFilterChange);
+      teamFilterEl.addEventListener("change", onFilterChange);
+      window.addEventListener("resize", onResize);
+      followBtn.addEventListener("click", toggleFollow);
 
-      dayFilterEl.addEventListener("change", () => render());
-      timeFilterEl.addEventListener("change", () => render());
+      container
+        .querySelector("#shareView")
+        .addEventListener("click", async () => {
+          const done = await shareOrCopy(
+            "Adrenale 5 schedule",
+            scheduleUrl(currentView())
+          );
+          if (done === "copied")
+            showToast(container, "Link copied.", "success");
+        });
 
       container
         .querySelector("#printSchedule")
         .addEventListener("click", () => window.print());
 
+      const exportEl = container.querySelector("#exportResults");
+      exportEl.addEventListener("change", () => {
+        const format = exportEl.value;
+        exportEl.value = "";
+        if (format)
+          location.href = exportUrl({ tournament: tournamentId, format });
+      });
+
+      container.querySelector("#calendarFeed").addEventListener("click", () => {
+        location.href = calendarUrl({ tournament: tournamentId }, true);
+      });
+
       if (!okFetch) {
         showToast(
           container,
@@ -928,7 +2953,77 @@
         );
       }
 
+      if (view.tournament && view.tournament !== tournamentId)
+        await switchEdition(view.tournament);
+      await loadPending();
+      setFilter(dayFilterEl, view.day);
+      setFilter(timeFilterEl, view.time);
+      setFilter(teamFilterEl, view.team || getFollowedTeam());
+      if (view.game) focusGame(view.game);
+
       await render();
+      if (view.game) {
+        container
+          .querySelector(`[data-game-card="${CSS.escape(view.game)}"]`)
+          ?.scrollIntoView({ behavior: "smooth", block: "center" });
+      }
+      loadEditions();
+      loadLeaders();
+      subscribeLive();
+
+      if ("serviceWorker" in navigator) {
+        navigator.serviceWorker
+          .register("sw.js")
+          .catch((e) => console.warn(e?.message || e));
+        navigator.serviceWorker.addEventListener("message", onWorkerMessage);
+      }
+      window.addEventListener("online", flushOutbox);
+      retryTimer = setInterval(flushOutbox, RETRY_MS);
+      flushOutbox();
+
+      // Opening the modal again re-runs initSchedule on the same container
+      const teardown = () => {
+        unsubscribeLive();
+        authListener?.subscription?.unsubscribe();
+        container.removeEventListener("focusout", onFocusOut);
+        container.removeEventListener("click", onHistoryClick);
+        container.removeEventListener("input", onScoreInput);
+        container.removeEventListener("change", onStatusChange);
+        container.removeEventListener("click", onScorekeeperClick);
+        container.removeEventListener("click", onBoxClick);
+        container.removeEventListener("click", onCalendarClick);
+        container.removeEventListener("click", onShareClick);
+        container.removeEventListener("input", onBoxInput);
+        window.removeEventListener("resize", onResize);
+        window.removeEventListener("online", flushOutbox);
+        navigator.serviceWorker?.removeEventListener(
+          "message",
+          onWorkerMessage
+        );
+        clearInterval(retryTimer);
+        clearInterval(skTimer);
+        clearTimeout(skPushTimer);
+      };
+      // Closed (or reopened) while this run was still loading
+      if (container.__scheduleRun === run)
+        container.__scheduleTeardown = teardown;
+      else teardown();
     })();
   };
+
+  // Ends a run's live updates, timers and listeners; the next run (or a
+  // run still loading) sees the bumped counter
+  function stopRun(container) {
+    container.__scheduleRun = (container.__scheduleRun || 0) + 1;
+    if (typeof container.__scheduleTeardown === "function") {
+      container.__scheduleTeardown();
+      container.__scheduleTeardown = null;
+    }
+  }
+
+  // Closing the modal: stop Realtime and polling until it's opened again
+  window.stopSchedule = function (containerId) {
+    const container = document.getElementById(containerId);
+    if (container) stopRun(container);
+  };
 })();
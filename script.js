@@ -50,11 +50,7 @@ document.querySelectorAll(".qa").forEach((qa) => {
 const go = (url) => (window.location.href = url);
 
 document.getElementById("registerBtn").addEventListener("click", () => {
-  // TODO: replace with registration URL
-  window.open(
-    "https://docs.google.com/forms/d/e/1FAIpQLSfffOTnJ0p6FYR05EPWm3oxTa4XoGVlu5CtpXqM6sBqD4Hekg/viewform?usp=dialog",
-    "_blank"
-  );
+  go("register.html");
 });
 // Schedule
 document.getElementById("scheduleBtn").addEventListener("click", () => {
@@ -76,20 +72,23 @@ document.getElementById("scheduleBtn").addEventListener("click", () => {
   // Render schedule INSIDE modal
   window.initSchedule("scheduleModalContainer");
 });
-document.getElementById("closeSchedule").addEventListener("click", () => {
-  document.getElementById("scheduleModal").classList.remove("open");
-});
+function closeScheduleModal() {
+  const modal = document.getElementById("scheduleModal");
+  if (!modal.classList.contains("open")) return;
+  modal.classList.remove("open");
+  window.stopSchedule?.("scheduleModalContainer");
+}
+
+document
+  .getElementById("closeSchedule")
+  .addEventListener("click", closeScheduleModal);
 
 document
   .querySelector("#scheduleModal .modal-backdrop")
-  .addEventListener("click", () => {
-    document.getElementById("scheduleModal").classList.remove("open");
-  });
+  .addEventListener("click", closeScheduleModal);
 
 document.addEventListener("keydown", (e) => {
-  if (e.key === "Escape") {
-    document.getElementById("scheduleModal").classList.remove("open");
-  }
+  if (e.key === "Escape") closeScheduleModal();
 });
 
 document.getElementById("rulesLink").addEventListener("click", (e) => {
@@ -109,14 +108,144 @@ document
   .addEventListener("submit", async (e) => {
     e.preventDefault();
     const email = document.getElementById("email").value.trim();
+    const apiBase = String(window.API_BASE_URL || "").replace(/\/$/, "");
+
+    try {
+      const res = await fetch(`${apiBase}/api/subscribe`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email }),
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json.error || "Subscription failed");
+
+      alert(json.message);
+      e.target.reset();
+    } catch (err) {
+      alert(err.message || "Subscription failed");
+    }
+  });
 
-    // TODO: Post to your backend, Mailchimp, Brevo, etc.
-    // Example:
-    // await fetch('/api/subscribe', {method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({email})})
+// Landing here from the confirm / unsubscribe links
+const NEWSLETTER_MESSAGES = {
+  confirmed: "You're subscribed to Adrenale 5 updates.",
+  unsubscribed: "You've been unsubscribed.",
+  invalid: "That link has expired or was already used.",
+};
+const newsletterState = new URLSearchParams(location.search).get("newsletter");
+if (NEWSLETTER_MESSAGES[newsletterState]) {
+  alert(NEWSLETTER_MESSAGES[newsletterState]);
+  history.replaceState(null, "", location.pathname + location.hash);
+}
+
+// Followed team: next game countdown (the team is picked in the schedule)
+function formatCountdown(ms) {
+  const mins = Math.ceil(ms / 60000);
+  const d = Math.floor(mins / 1440);
+  const h = Math.floor((mins % 1440) / 60);
+  const m = mins % 60;
+  if (d) return `in ${d}d ${h}h`;
+  if (h) return `in ${h}h ${m}m`;
+  return `in ${m}m`;
+}
 
-    alert("Subscribed (mock). Wire this form to your email platform.");
-    e.target.reset();
+async function initFollowCard() {
+  const card = document.getElementById("followCard");
+  const team = localStorage.getItem("followedTeam");
+  const Bracket = window.AdrenaleBracket;
+  if (!card || !team || !Bracket) return;
+
+  const apiBase = String(window.API_BASE_URL || "").replace(/\/$/, "");
+  const eventRes = await fetch(`${apiBase}/api/tournaments?current=1`);
+  if (!eventRes.ok) return;
+  const event = await eventRes.json();
+  const games = Bracket.gamesFromOptions(Bracket.eventToOptions(event));
+  const state = { scores: {} };
+
+  const link = document.createElement("a");
+  link.className = "follow-card";
+  link.href = `schedule.html?team=${encodeURIComponent(team)}`;
+  card.replaceChildren(link);
+
+  // Results move the next game (and who it's against); a failed fetch keeps
+  // the last scores. Resolves false when the fetch failed.
+  const refresh = async () => {
+    let ok = false;
+    try {
+      const res = await fetch(
+        `${apiBase}/api/scores?tournament=${encodeURIComponent(
+          event.tournament?.id || ""
+        )}`
+      );
+      if (res.ok) {
+        state.scores = (await res.json()).scores || {};
+        ok = true;
+      }
+    } catch (err) {
+      console.warn(err?.message || err);
+    }
+
+    const { confirmed, possible } = Bracket.teamReach(games, state, team);
+    const next = games.all.find(
+      (g) =>
+        (confirmed.has(g.id) || possible.has(g.id)) &&
+        !Bracket.getResultSide(g.id, state)
+    );
+    card.hidden = !next;
+    if (!next) return ok;
+
+    const { teamA, teamB } = Bracket.resolveTeamsForGame(next, state, games);
+    const matchup = confirmed.has(next.id)
+      ? `${teamA} vs ${teamB}`
+      : `${next.label || next.id} (if ${team} get there)`;
+    const startsAt = Bracket.gameStartTime(next, event.tournament?.settings);
+    const live = Bracket.gameStatus(next.id, state) === "live";
+    const when = live
+      ? "Live now"
+      : startsAt && startsAt > Date.now()
+      ? formatCountdown(startsAt - Date.now())
+      : `${next.day}, ${next.hour}`;
+    link.textContent = `★ ${team} next game: ${matchup} · ${when}`;
+    return ok;
+  };
+
+  // Once a minute while the page is visible, backing off to 10 minutes
+  // while the API keeps failing
+  const POLL_MS = 60000;
+  const MAX_POLL_MS = 600000;
+  let delay = POLL_MS;
+  let timer = null;
+  let polling = false;
+
+  const poll = async () => {
+    clearTimeout(timer);
+    timer = null;
+    polling = true;
+    const ok = await refresh();
+    polling = false;
+    delay = ok ? POLL_MS : Math.min(delay * 2, MAX_POLL_MS);
+    if (!document.hidden) timer = setTimeout(poll, delay);
+  };
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      clearTimeout(timer);
+      timer = null;
+    } else if (!timer && !polling) {
+      poll();
+    }
   });
+  await poll();
+}
+
+initFollowCard().catch((err) => console.warn(err?.message || err));
+
+// Installable app + offline copy of the page and schedule (sw.js)
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker
+    .register("sw.js")
+    .catch((err) => console.warn(err?.message || err));
+}
 
 // Year
 document.getElementById("year").textContent = new Date().getFullYear();
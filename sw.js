@@ -0,0 +1,157 @@
+// sw.js
+// Service worker for
+//   - result alerts: shows the pushes sent by lib/notify.js
+//     ({ title, body, url }) and opens the site when one is tapped
+//   - offline use (installed app / bad venue signal): keeps the landing
+//     page, the schedule page, the rules PDF and the last schedule / scores
+//     the API sent, so the schedule still renders without a connection
+//   - offline scoring: tells open pages to send their queued scores
+//     (outbox.js) when Background Sync sees the connection return
+
+const SHELL_CACHE = "adrenale-shell-v2";
+const SHELL_FILES = [
+  "/",
+  "/index.html",
+  "/schedule",
+  "/schedule.html",
+  "/manifest.webmanifest",
+  "/style.css",
+  "/bracket.js",
+  "/outbox.js",
+  "/schedule.js",
+  "/schedule-page.js",
+  "/script.js",
+  "/assets/img/adrenale.png",
+  "/assets/img/map.png",
+  "/assets/documents/A5%20Info-%20Rules%20Sheet.pdf",
+  "https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2",
+];
+
+// Last good answer from these API routes, per URL. Copies served from here
+// carry X-Cached-At (when they were fetched) so the page can say how old
+// the scores are.
+const DATA_CACHE = "adrenale-data-v1";
+const DATA_PATHS = ["/api/tournaments", "/api/scores"];
+const CACHES = [SHELL_CACHE, DATA_CACHE];
+
+self.addEventListener("install", (event) => {
+  // One missing file (e.g. /schedule outside Vercel) shouldn't stop the rest
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) =>
+        Promise.all(SHELL_FILES.map((url) => cache.add(url).catch(() => {})))
+      )
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((k) => k.startsWith("adrenale-") && !CACHES.includes(k))
+            .map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function fromShell(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(request, res.clone());
+    }
+    return res;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function fromData(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const headers = new Headers(res.headers);
+      headers.set("X-Cached-At", new Date().toISOString());
+      const body = await res.clone().blob();
+      const cache = await caches.open(DATA_CACHE);
+      await cache.put(
+        request,
+        new Response(body, { status: res.status, headers })
+      );
+    }
+    return res;
+  } catch (err) {
+    const cached = await caches.match(request, { cacheName: DATA_CACHE });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Network first so a deploy or a new score shows up straight away; the
+// cache is only the fallback when the request fails.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  // The API may be on another origin (window.API_BASE_URL)
+  if (DATA_PATHS.includes(url.pathname)) {
+    event.respondWith(fromData(request));
+    return;
+  }
+  const path = url.origin === self.location.origin ? url.pathname : url.href;
+  if (SHELL_FILES.includes(path)) event.respondWith(fromShell(request));
+});
+
+self.addEventListener("sync", (event) => {
+  if (event.tag !== "score-outbox") return;
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window" })
+      .then((windows) =>
+        windows.forEach((w) => w.postMessage({ type: "flush-outbox" }))
+      )
+  );
+});
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (e) {
+    data = { body: event.data && event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Adrenale 5", {
+      body: data.body || "",
+      icon: "assets/img/adrenale.png",
+      data: { url: data.url || "/" },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/", self.location.origin)
+    .href;
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windows) => {
+        const open = windows.find((w) => w.url === url);
+        return open ? open.focus() : self.clients.openWindow(url);
+      })
+  );
+});